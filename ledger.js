@@ -6,6 +6,10 @@ const fs = require('fs');
 const path = require('path');
 const cron = require('node-cron');
 const axios = require('axios'); // Ensure axios is imported
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const Ajv = require('ajv');
+const { XMLParser } = require('fast-xml-parser');
 
 const router = express.Router();  
 
@@ -44,6 +48,12 @@ const defaultConfig = {
         "account_type": "Revenue",
         "nature": "Credit",
         "currency": "USD"
+      },
+      "chargeback_fees": {
+        "account_name": "Chargeback Fee Revenue",
+        "account_type": "Revenue",
+        "nature": "Credit",
+        "currency": "USD"
       }
     },
     "expense": {
@@ -85,6 +95,84 @@ const defaultConfig = {
   },
   "payment_processing": {
     "expense_percentage": 0.3
+  },
+  "currency_exponents": {
+    "USD": 2,
+    "EUR": 2,
+    "GBP": 2,
+    "JPY": 0,
+    "KWD": 3
+  },
+  "rounding": {
+    "fees": "half_up",
+    "fx": "half_even"
+  },
+  "integrity_check": {
+    "enabled": true,
+    "schedule": "0 0 * * *",
+    "fix_drift": false
+  },
+  "dispute_fees": {
+    "chargeback": {
+      "USD": 15.00,
+      "EUR": 15.00,
+      "GBP": 12.00
+    }
+  },
+  "refund_policy": {
+    "transaction_fee": "retained",
+    "fx_fee": "retained"
+  },
+  "fx_rates": {
+    "provider": "config"
+  },
+  "balance_snapshots": {
+    "enabled": true,
+    "schedule": "30 0 * * *"
+  },
+  "accounting_periods": {
+    "closed_period_posting": "reject"
+  },
+  "balance_policies": {
+    "default": "allow_negative",
+    "by_account_type": {
+      "Liability": "forbid_negative"
+    }
+  },
+  "holds": {
+    "enabled": true,
+    "schedule": "* * * * *",
+    "authorization_ttl_hours": 168
+  },
+  "reconciliation": {
+    "date_window_days": 3
+  },
+  "event_processing": {
+    "mode": "sync",
+    "schedule": "*/5 * * * * *",
+    "max_attempts": 5,
+    "backoff_base_seconds": 10,
+    "backoff_max_seconds": 900,
+    "batch_size": 50,
+    "max_backdate_hours": 72
+  },
+  "webhooks": {
+    "enabled": true,
+    "schedule": "*/15 * * * * *",
+    "max_attempts": 10,
+    "backoff_base_seconds": 30,
+    "backoff_max_seconds": 21600,
+    "timeout_ms": 10000,
+    "batch_size": 100
+  },
+  "chart_of_accounts": {
+    "code_ranges": {
+      "Asset": { "from": 1000, "to": 1999 },
+      "Liability": { "from": 2000, "to": 2999 },
+      "Equity": { "from": 3000, "to": 3999 },
+      "Revenue": { "from": 4000, "to": 4999 },
+      "Expense": { "from": 5000, "to": 5999 }
+    }
   }
 };
 
@@ -103,13 +191,453 @@ try {
   ledgerConfig = defaultConfig;
 }
 
+// Ledger (tenant) used when a request does not name one
+const DEFAULT_LEDGER_ID = 'default';
+
+// Current configuration version per ledger: ledgerId -> { version, config }.
+// `ledgerConfig` holds the default ledger's configuration, which also drives
+// the deployment-wide job schedules.
+const ledgerConfigs = new Map();
+
+// Requests run inside the ledger they address, and events additionally with
+// the configuration and exchange rates that were effective at their
+// timestamp: { requestId, ledgerId, principal, config, rates, fxQuotes }
+const ledgerContext = new AsyncLocalStorage();
+
+// Ledger the current operation is scoped to. Every tenant-scoped query needs
+// one, so code running outside a ledger fails instead of seeing all tenants.
+function getLedgerId() {
+  const ledgerId = ledgerContext.getStore()?.ledgerId;
+  if (!ledgerId) {
+    throw new Error('No ledger selected for this operation');
+  }
+  return ledgerId;
+}
+
+// Run `work` scoped to a ledger, keeping the caller's principal and request ID
+function runInLedger(ledgerId, work) {
+  const store = ledgerContext.getStore();
+  return ledgerContext.run({ ledgerId, principal: store?.principal, requestId: store?.requestId }, work);
+}
+
+// Configuration in effect for the event being processed, or the ledger's current one
+function getLedgerConfig() {
+  const store = ledgerContext.getStore();
+  return store?.config || ledgerConfigs.get(store?.ledgerId)?.config || ledgerConfig;
+}
+
+// Error with an HTTP status and a machine-readable code, returned to clients
+// as { error, code, details } rather than recognised by its message
+class LedgerError extends Error {
+  constructor(message, { status = 400, code, details } = {}) {
+    super(message);
+    this.name = 'LedgerError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// How far ahead of the server clock a client-supplied timestamp may be
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
 // Log the current working directory and file structure
 console.log('Current working directory:', process.cwd());
 console.log('Directory contents:', fs.readdirSync(process.cwd()));
 
+// ==========================
+// Money Helpers
+// ==========================
+// Amounts and balances are persisted as integers in the currency's minor unit
+// (cents for USD, whole yen for JPY, fils for KWD). The API accepts and returns
+// major units; conversion happens at the boundary.
+
+const DEFAULT_CURRENCY_EXPONENT = 2;
+
+function getCurrencyExponent(currency) {
+  const exponents = getLedgerConfig().currency_exponents || {};
+  return exponents[currency] ?? DEFAULT_CURRENCY_EXPONENT;
+}
+
+// Round a fractional number of minor units to an integer.
+// 'half_even' is banker's rounding, 'half_up' rounds ties away from zero.
+function roundMinorUnits(value, mode = 'half_up') {
+  const floor = Math.floor(value);
+  const isTie = Math.abs(value - floor - 0.5) < 1e-9;
+
+  if (!isTie) {
+    return Math.round(value);
+  }
+
+  if (mode === 'half_even') {
+    return floor % 2 === 0 ? floor : floor + 1;
+  }
+  return value < 0 ? floor : floor + 1;
+}
+
+// Rounding mode for a category of calculation ('fees' or 'fx')
+function getRoundingMode(kind) {
+  return getLedgerConfig().rounding?.[kind] || 'half_up';
+}
+
+function toMinorUnits(amount, currency) {
+  const scaled = Number(amount) * 10 ** getCurrencyExponent(currency);
+  const rounded = Math.round(scaled);
+
+  if (!Number.isFinite(scaled) || Math.abs(scaled - rounded) > 1e-6) {
+    throw new LedgerError(`Invalid amount ${amount} for currency ${currency}`, { code: 'INVALID_AMOUNT' });
+  }
+  return rounded;
+}
+
+// Minor units of an amount that must be above zero, e.g. a payment or payout
+function toPositiveMinorUnits(amount, currency) {
+  const amountMinor = toMinorUnits(amount, currency);
+  if (amountMinor <= 0) {
+    throw new LedgerError(`Invalid amount ${amount}: must be positive`, { code: 'INVALID_AMOUNT' });
+  }
+  return amountMinor;
+}
+
+function fromMinorUnits(amount, currency) {
+  const exponent = getCurrencyExponent(currency);
+  return Number((amount / 10 ** exponent).toFixed(exponent));
+}
+
+// Schema toJSON option that renders the given minor-unit fields in major units
+function majorUnitsJSON(...fields) {
+  return {
+    transform(doc, ret) {
+      for (const field of fields) {
+        if (typeof ret[field] === 'number') {
+          ret[field] = fromMinorUnits(ret[field], ret.currency);
+        }
+      }
+      return ret;
+    },
+  };
+}
+
+const minorUnitsValidator = {
+  validator: Number.isInteger,
+  message: '{PATH} must be an integer number of minor units, got {VALUE}',
+};
+
+// ==========================
+// Ledgers (Tenants)
+// ==========================
+// Every model except Ledger carries a ledger_id. The tenant scope plugin fills
+// it in on save and adds it to every query, aggregation and bulkWrite
+// operation, so one ledger can neither read nor post to another ledger's
+// documents. Raw `Model.collection` access is not scoped and must filter by
+// ledger_id itself.
+
+const ledgerSchema = new mongoose.Schema({
+  ledger_id: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  status: { type: String, required: true, enum: ['Active', 'Suspended'], default: 'Active' },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now },
+});
+
+const Ledger = mongoose.model('Ledger', ledgerSchema);
+
+const SCOPED_QUERY_HOOKS = [
+  'countDocuments',
+  'deleteMany',
+  'deleteOne',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne',
+];
+
+function tenantScopePlugin(schema) {
+  schema.add({ ledger_id: { type: String, required: true, immutable: true, default: getLedgerId } });
+  schema.index({ ledger_id: 1 });
+
+  schema.pre(SCOPED_QUERY_HOOKS, function scopeQueryToLedger() {
+    this.where({ ledger_id: getLedgerId() });
+  });
+
+  schema.pre('aggregate', function scopeAggregateToLedger() {
+    this.pipeline().unshift({ $match: { ledger_id: getLedgerId() } });
+  });
+
+  schema.pre('bulkWrite', function scopeBulkWriteToLedger(next, operations) {
+    const ledgerId = getLedgerId();
+    for (const operation of operations) {
+      const [type, spec] = Object.entries(operation)[0];
+      if (type === 'insertOne') {
+        spec.document = { ...spec.document, ledger_id: ledgerId };
+      } else {
+        // Upserts take the ledger_id from the filter
+        spec.filter = { ...spec.filter, ledger_id: ledgerId };
+      }
+    }
+    next();
+  });
+}
+
+// Models defined before multi-tenancy have documents without a ledger_id;
+// they belong to the default ledger
+async function backfillLedgerIds() {
+  for (const Model of Object.values(mongoose.models)) {
+    if (Model.schema.path('ledger_id') && Model !== Ledger) {
+      await Model.collection.updateMany(
+        { ledger_id: { $exists: false } },
+        { $set: { ledger_id: DEFAULT_LEDGER_ID } }
+      );
+    }
+  }
+}
+
+// Run `work` once inside each active ledger
+async function forEachLedger(work) {
+  const ledgers = await Ledger.find({ status: 'Active' });
+  const results = [];
+  for (const ledger of ledgers) {
+    results.push(await runInLedger(ledger.ledger_id, () => work(ledger)));
+  }
+  return results;
+}
+
+// ==========================
+// API Keys and Permissions
+// ==========================
+// Clients authenticate with an API key (Authorization: Bearer <key> or
+// X-Api-Key). Only a SHA-256 hash of the key is stored. A key belongs to one
+// ledger and grants the scopes of its role plus any extra scopes it lists.
+
+const API_SCOPES = [
+  'accounts:read',
+  'accounts:write',
+  'entries:read',
+  'entries:write',
+  'events:read',
+  'events:write',
+  'reports:read',
+  'rules:read',
+  'rules:write',
+  'rates:read',
+  'rates:write',
+  'periods:read',
+  'periods:write',
+  'config:read',
+  'config:admin',
+  'maintenance',
+  'keys:admin',
+  'audit:read',
+  'adjustments:approve',
+  'reconciliation:read',
+  'reconciliation:write',
+  'webhooks:read',
+  'webhooks:admin',
+  // Platform scope: manage ledgers and act on any ledger via X-Ledger-Id
+  'ledgers:admin',
+];
+
+const READ_SCOPES = API_SCOPES.filter((scope) => scope.endsWith(':read'));
+
+// Adjustments need a second person: no key may both propose entries and
+// approve them, and only platform admins (ledgers:admin) may issue approver
+// keys. An approval is also refused from a key that the proposer's key
+// created, which covers platform admins issuing themselves an approver key.
+const SEGREGATED_SCOPES = ['entries:write', 'adjustments:approve'];
+
+const ROLE_SCOPES = {
+  admin: API_SCOPES.filter((scope) => !['ledgers:admin', 'adjustments:approve'].includes(scope)),
+  approver: [...READ_SCOPES, 'adjustments:approve'],
+  operator: [
+    ...READ_SCOPES,
+    'accounts:write',
+    'entries:write',
+    'events:write',
+    'rates:write',
+    'periods:write',
+    'reconciliation:write',
+  ],
+  reader: READ_SCOPES,
+};
+
+const apiKeySchema = new mongoose.Schema({
+  key_id: { type: String, default: uuidv4, unique: true },
+  ledger_id: { type: String, required: true },
+  name: { type: String, required: true },
+  key_hash: { type: String, required: true, unique: true },
+  // First characters of the key, to recognise it in listings
+  key_prefix: { type: String, required: true },
+  role: { type: String, enum: Object.keys(ROLE_SCOPES) },
+  scopes: [{ type: String, enum: API_SCOPES }],
+  status: { type: String, required: true, enum: ['Active', 'Revoked'], default: 'Active' },
+  expires_at: { type: Date },
+  replaced_by: { type: String },
+  created_by: { type: String },
+  // Key that issued this one, if any
+  created_by_key_id: { type: String },
+  created_at: { type: Date, default: Date.now },
+  last_used_at: { type: Date },
+  revoked_at: { type: Date },
+});
+
+apiKeySchema.index({ ledger_id: 1, created_at: -1 });
+apiKeySchema.set('toJSON', {
+  transform(doc, ret) {
+    delete ret.key_hash;
+    return ret;
+  },
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+// Who made a change, recorded on events and ledger entries
+const principalSchema = new mongoose.Schema({
+  type: { type: String, required: true, enum: ['api_key', 'system'] },
+  id: { type: String, required: true },
+  name: { type: String },
+}, { _id: false });
+
+const SYSTEM_PRINCIPAL = { type: 'system', id: 'system', name: 'system' };
+
+function currentPrincipal() {
+  return ledgerContext.getStore()?.principal || SYSTEM_PRINCIPAL;
+}
+
+function describePrincipal(principal) {
+  return principal.name ? `${principal.name} (${principal.id})` : principal.id;
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function getKeyScopes(apiKey) {
+  return [...new Set([...(ROLE_SCOPES[apiKey.role] || []), ...apiKey.scopes])];
+}
+
+// Create a key and return it with its secret, which is not stored and cannot
+// be retrieved later
+async function issueApiKey({ ledgerId, name, role, scopes = [], expiresAt, createdBy, createdByKeyId }, session) {
+  const secret = `lk_${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = new ApiKey({
+    ledger_id: ledgerId,
+    name,
+    key_hash: hashApiKey(secret),
+    key_prefix: secret.slice(0, 10),
+    role,
+    scopes,
+    expires_at: expiresAt,
+    created_by: createdBy,
+    created_by_key_id: createdByKeyId,
+  });
+  await apiKey.save({ session });
+  return { apiKey, secret };
+}
+
+// Store LEDGER_BOOTSTRAP_API_KEY as a platform admin key while no keys exist,
+// so that the first real keys can be created
+async function seedBootstrapApiKey() {
+  const bootstrapKey = process.env.LEDGER_BOOTSTRAP_API_KEY;
+  if (!bootstrapKey || await ApiKey.exists({ status: 'Active' })) {
+    return;
+  }
+
+  await ApiKey.updateOne(
+    { key_hash: hashApiKey(bootstrapKey) },
+    {
+      $setOnInsert: {
+        key_id: uuidv4(),
+        ledger_id: DEFAULT_LEDGER_ID,
+        name: 'Bootstrap key',
+        key_prefix: bootstrapKey.slice(0, 10),
+        role: 'admin',
+        scopes: ['ledgers:admin'],
+        status: 'Active',
+        created_by: 'system',
+        created_at: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+}
+
+// Authenticate the request and attach `req.principal` and `req.apiKey`
+async function authenticate(req, res, next) {
+  const authorization = req.get('Authorization');
+  const key = authorization?.startsWith('Bearer ') ? authorization.slice(7).trim() : req.get('X-Api-Key');
+
+  if (!key) {
+    return res.status(401).json({ error: 'API key required' });
+  }
+
+  try {
+    const apiKey = await ApiKey.findOne({ key_hash: hashApiKey(key) });
+    const isExpired = apiKey?.expires_at && apiKey.expires_at <= new Date();
+    if (!apiKey || apiKey.status !== 'Active' || isExpired) {
+      return res.status(401).json({ error: 'Invalid or revoked API key' });
+    }
+
+    req.apiKey = apiKey;
+    req.scopes = getKeyScopes(apiKey);
+    req.principal = { type: 'api_key', id: apiKey.key_id, name: apiKey.name };
+
+    ApiKey.updateOne({ key_id: apiKey.key_id }, { $set: { last_used_at: new Date() } }).catch((err) => {
+      console.error('Error recording API key use:', err.message);
+    });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+
+  next();
+}
+
+// Route middleware rejecting keys without `scope`
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.scopes || !req.scopes.includes(scope)) {
+      return res.status(403).json({ error: `API key lacks the ${scope} scope` });
+    }
+    next();
+  };
+}
+
+// Largest page a client may request
+const MAX_PAGE_SIZE = 1000;
+
+// Route middleware parsing the page and pageSize query parameters into
+// `req.pagination`, rejecting values that are not positive integers and pages
+// larger than MAX_PAGE_SIZE
+function paginate(defaultPageSize = 50) {
+  return (req, res, next) => {
+    const pagination = {};
+    for (const [name, fallback] of [['page', 1], ['pageSize', defaultPageSize]]) {
+      const value = req.query[name];
+      pagination[name] = value === undefined || value === '' ? fallback : Number(value);
+      if (!Number.isInteger(pagination[name]) || pagination[name] < 1) {
+        return res.status(400).json({ error: `${name} must be a positive integer` });
+      }
+    }
+    if (pagination.pageSize > MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `pageSize must be at most ${MAX_PAGE_SIZE}` });
+    }
+    req.pagination = pagination;
+    next();
+  };
+}
+
+// How far an account's balance (in its nature) may fall: allow_negative has
+// no floor, forbid_negative stops at zero and credit_limit at -credit_limit
+const BALANCE_POLICIES = ['allow_negative', 'forbid_negative', 'credit_limit'];
+
 const accountSchema = new mongoose.Schema({
   account_id: { type: String, default: uuidv4, unique: true },
   account_number: { type: String, required: true },
+  account_code: { type: String },
   account_name: { type: String, required: true },
   account_type: {
     type: String,
@@ -117,15 +645,45 @@ const accountSchema = new mongoose.Schema({
     enum: ['Asset', 'Liability', 'Equity', 'Revenue', 'Expense'],
   },
   parent_account_id: { type: String, ref: 'Account' },
+  // Header accounts group child accounts and cannot be posted to directly
+  is_header: { type: Boolean, default: false },
   currency: { type: String, required: true },
   status: { type: String, required: true, enum: ['Active', 'Inactive', 'Closed'] },
   nature: { type: String, required: true, enum: ['Debit', 'Credit'] },
-  balance: { type: Number, required: true, default: 0 },
+  balance: { type: Number, required: true, default: 0, validate: minorUnitsValidator },
+  // Totals of the account's active holds; see accountBalances
+  pending_debits: { type: Number, default: 0, validate: minorUnitsValidator },
+  pending_credits: { type: Number, default: 0, validate: minorUnitsValidator },
+  // Unset uses the ledger's balance_policies configuration
+  balance_policy: { type: String, enum: BALANCE_POLICIES },
+  credit_limit: { type: Number, min: 0, validate: minorUnitsValidator },
+  minor_units: { type: Boolean, default: true },
   created_at: { type: Date, default: Date.now },
   updated_at: { type: Date, default: Date.now },
+  archived_at: { type: Date },
   metadata: { type: mongoose.Schema.Types.Mixed },
 });
 
+accountSchema.index(
+  { ledger_id: 1, account_code: 1 },
+  { unique: true, partialFilterExpression: { account_code: { $type: 'string' } } }
+);
+// Posting rules find accounts by name and currency, so the pair is unique
+accountSchema.index({ ledger_id: 1, account_name: 1, currency: 1 }, { unique: true });
+accountSchema.index({ parent_account_id: 1 });
+const accountMajorUnitsJSON = majorUnitsJSON('balance', 'credit_limit', 'pending_debits', 'pending_credits');
+accountSchema.set('toJSON', {
+  transform(doc, ret) {
+    const { posted, pending, available } = accountBalances(doc);
+    accountMajorUnitsJSON.transform(doc, ret);
+    ret.posted_balance = fromMinorUnits(posted, doc.currency);
+    ret.pending_balance = fromMinorUnits(pending, doc.currency);
+    ret.available_balance = fromMinorUnits(available, doc.currency);
+    return ret;
+  },
+});
+
+accountSchema.plugin(tenantScopePlugin);
 const Account = mongoose.model('Account', accountSchema);
 
 // ==========================
@@ -136,9 +694,18 @@ const ledgerEntrySchema = new mongoose.Schema({
   entryGroupId: { type: String, required: true },
   transaction_id: { type: String },
   event_id: { type: String },
+  event_type: { type: String },
   account_id: { type: String, required: true },
   entry_type: { type: String, required: true, enum: ['Debit', 'Credit'] },
-  amount: { type: Number, required: true },
+  amount: { type: Number, required: true, validate: minorUnitsValidator },
+  principal: { type: principalSchema, default: currentPrincipal },
+  // Position in the ledger's hash chain; see chainLedgerEntries
+  sequence: { type: Number },
+  previous_hash: { type: String },
+  hash: { type: String },
+  // Bank statement line this entry is reconciled with. Not part of the hash.
+  reconciled_line_id: { type: String },
+  minor_units: { type: Boolean, default: true },
   currency: { type: String, required: true },
   timestamp: { type: Date, default: Date.now },
   description: { type: String },
@@ -146,632 +713,7455 @@ const ledgerEntrySchema = new mongoose.Schema({
   isReversal: { type: Boolean, default: false },
   isReversed: { type: Boolean, default: false },
   originalEntryId: { type: String }, 
+  posting_rule_id: { type: String },
+  posting_rule_version: { type: Number },
 });
 
+ledgerEntrySchema.index({ transaction_id: 1, event_type: 1 });
+ledgerEntrySchema.index({ account_id: 1, timestamp: 1 });
+ledgerEntrySchema.index(
+  { ledger_id: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $type: 'number' } } }
+);
+ledgerEntrySchema.set('toJSON', majorUnitsJSON('amount'));
+
+// Entries are never deleted; mistakes are corrected with a reversal or an
+// approved adjustment
+ledgerEntrySchema.pre(
+  ['deleteMany', 'deleteOne', 'findOneAndDelete', 'findOneAndReplace', 'replaceOne'],
+  function preventLedgerEntryDeletion() {
+    throw new Error('Ledger entries are append-only; correct them with a reversal or an adjustment');
+  }
+);
+
+ledgerEntrySchema.plugin(tenantScopePlugin);
 const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
 
 // ==========================
-// Helper Functions
+// Audit Trail and Hash Chain
 // ==========================
+// Every write is recorded in an append-only audit log with the principal and
+// request that caused it. Ledger entries additionally form a hash chain per
+// ledger: each entry stores a sequence number, the previous entry's hash and a
+// hash over its own content, so edited or deleted entries can be detected.
+// Entries posted before the chain existed have no sequence and are not covered.
 
-async function updateAccountBalance(accountId, entryType, amount, currency) {
-  const account = await Account.findOne({ account_id: accountId });
-  if (!account) {
-    throw new Error(`Account with ID ${accountId} not found`);
-  }
+const APPEND_ONLY_QUERY_HOOKS = [
+  'deleteMany',
+  'deleteOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne',
+];
 
-  if (account.currency !== currency) {
-    throw new Error(`Currency mismatch: Account currency (${account.currency}) does not match entry currency (${currency})`);
-  }
+const auditLogSchema = new mongoose.Schema({
+  audit_id: { type: String, default: uuidv4, unique: true },
+  action: { type: String, required: true },
+  entity_type: { type: String, required: true },
+  entity_id: { type: String, required: true },
+  principal: { type: principalSchema, default: currentPrincipal },
+  request_id: { type: String },
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed },
+  created_at: { type: Date, default: Date.now },
+});
 
-  // Update balance based on account nature and entry type
-  let balanceChange = amount;
-  if (account.nature === 'Debit') {
-    balanceChange = entryType === 'Debit' ? amount : -amount;
-  } else if (account.nature === 'Credit') {
-    balanceChange = entryType === 'Credit' ? amount : -amount;
+auditLogSchema.index({ entity_type: 1, entity_id: 1, created_at: -1 });
+auditLogSchema.index({ request_id: 1 });
+
+auditLogSchema.pre('save', function preventAuditLogChange() {
+  if (!this.isNew) {
+    throw new Error('Audit log entries are append-only');
   }
+});
+auditLogSchema.pre(APPEND_ONLY_QUERY_HOOKS, function preventAuditLogChange() {
+  throw new Error('Audit log entries are append-only');
+});
+
+auditLogSchema.plugin(tenantScopePlugin);
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+// Latest sequence and hash of a ledger's chain
+const ledgerChainHeadSchema = new mongoose.Schema({
+  chain: { type: String, required: true },
+  sequence: { type: Number, required: true, default: 0 },
+  hash: { type: String, required: true },
+  updated_at: { type: Date, default: Date.now },
+});
+
+ledgerChainHeadSchema.index({ ledger_id: 1, chain: 1 }, { unique: true });
+
+ledgerChainHeadSchema.plugin(tenantScopePlugin);
+const LedgerChainHead = mongoose.model('LedgerChainHead', ledgerChainHeadSchema);
+
+const LEDGER_ENTRY_CHAIN = 'ledger_entries';
+const GENESIS_HASH = '0'.repeat(64);
 
-  account.balance += balanceChange;
-  await account.save();
+function toAuditState(value) {
+  return value && typeof value.toObject === 'function' ? value.toObject({ versionKey: false }) : value;
 }
 
-// Helper function to find or create an account
-async function findOrCreateAccount(accountCriteria) {
-  // Check if the account exists in the configuration
-  const configAccount = ledgerConfig.accounts[accountCriteria.account_type.toLowerCase()]?.[accountCriteria.currency];
-  
-  if (configAccount) {
-    accountCriteria = { ...configAccount, ...accountCriteria };
-  }
+// Append a record to the audit log of the current ledger
+async function recordAudit({ action, entityType, entityId, before, after }, session) {
+  await new AuditLog({
+    action,
+    entity_type: entityType,
+    entity_id: entityId,
+    request_id: ledgerContext.getStore()?.requestId,
+    before: toAuditState(before),
+    after: toAuditState(after),
+  }).save({ session });
+}
 
-  let account = await Account.findOne({
-    account_name: accountCriteria.account_name,
-    currency: accountCriteria.currency,
-  });
+// Hash over the immutable content of an entry. isReversed is left out because
+// reversing an entry legitimately sets it; the reversal is chained instead.
+function computeEntryHash(entry) {
+  const content = JSON.parse(JSON.stringify({
+    ledger_id: entry.ledger_id,
+    sequence: entry.sequence,
+    previous_hash: entry.previous_hash,
+    entry_id: entry.entry_id,
+    entryGroupId: entry.entryGroupId,
+    transaction_id: entry.transaction_id,
+    event_id: entry.event_id,
+    event_type: entry.event_type,
+    account_id: entry.account_id,
+    entry_type: entry.entry_type,
+    amount: entry.amount,
+    currency: entry.currency,
+    description: entry.description,
+    metadata: entry.metadata,
+    timestamp: entry.timestamp,
+    isReversal: entry.isReversal,
+    originalEntryId: entry.originalEntryId,
+    posting_rule_id: entry.posting_rule_id,
+    posting_rule_version: entry.posting_rule_version,
+    principal: entry.principal && {
+      type: entry.principal.type,
+      id: entry.principal.id,
+      name: entry.principal.name,
+    },
+  }));
 
-  if (!account) {
-    // Create the account using the configuration or provided criteria
-    const uniqueId = uuidv4();
-    account = new Account({
-      account_id: uniqueId,
-      account_number: uniqueId,
-      ...accountCriteria,
-      balance: 0,
-      status: 'Active',
-      metadata: accountCriteria.metadata || {},
-    });
+  return crypto.createHash('sha256').update(JSON.stringify(canonicalize(content))).digest('hex');
+}
 
-    await account.save();
+// Append entries to the ledger's hash chain. The chain head is written in the
+// posting transaction, so concurrent postings to one ledger conflict and are
+// retried one after another.
+async function chainLedgerEntries(ledgerEntries, session) {
+  const head = await LedgerChainHead.findOneAndUpdate(
+    { chain: LEDGER_ENTRY_CHAIN },
+    { $setOnInsert: { sequence: 0, hash: GENESIS_HASH } },
+    { upsert: true, new: true, session }
+  );
+
+  let { sequence, hash } = head;
+  for (const ledgerEntry of ledgerEntries) {
+    sequence += 1;
+    ledgerEntry.sequence = sequence;
+    ledgerEntry.previous_hash = hash;
+    hash = computeEntryHash(ledgerEntry);
+    ledgerEntry.hash = hash;
   }
 
-  return account;
+  await LedgerChainHead.updateOne(
+    { chain: LEDGER_ENTRY_CHAIN },
+    { $set: { sequence, hash, updated_at: new Date() } },
+    { session }
+  );
 }
 
-function getExchangeRate(fromCurrency, toCurrency) {
-  const { base, rates } = ledgerConfig.exchange_rates;
-  
-  if (fromCurrency === toCurrency) {
-    return 1;
+// Walk the chain in sequence order and report gaps, broken links and entries
+// whose content no longer matches their hash
+async function verifyLedgerChain({ maxIssues = 100 } = {}) {
+  const head = await LedgerChainHead.findOne({ chain: LEDGER_ENTRY_CHAIN });
+  const issues = [];
+  const addIssue = (issue) => {
+    if (issues.length < maxIssues) issues.push(issue);
+  };
+
+  let expectedSequence = 1;
+  let previousHash = GENESIS_HASH;
+  let entriesChecked = 0;
+  let issueCount = 0;
+
+  const cursor = LedgerEntry.find({ sequence: { $type: 'number' } }).sort({ sequence: 1 }).cursor();
+  for await (const entry of cursor) {
+    entriesChecked += 1;
+
+    if (entry.sequence !== expectedSequence) {
+      issueCount += 1;
+      addIssue({
+        sequence: expectedSequence,
+        problem: `entries ${expectedSequence} to ${entry.sequence - 1} are missing`,
+      });
+    }
+    if (entry.previous_hash !== previousHash) {
+      issueCount += 1;
+      addIssue({ sequence: entry.sequence, entry_id: entry.entry_id, problem: 'previous_hash does not match the preceding entry' });
+    }
+    if (computeEntryHash(entry) !== entry.hash) {
+      issueCount += 1;
+      addIssue({ sequence: entry.sequence, entry_id: entry.entry_id, problem: 'content does not match its hash' });
+    }
+
+    previousHash = entry.hash;
+    expectedSequence = entry.sequence + 1;
   }
-  
-  if (!rates[fromCurrency] || !rates[toCurrency]) {
-    throw new Error(`Exchange rate not available for ${fromCurrency} to ${toCurrency}`);
+
+  const headSequence = head ? head.sequence : 0;
+  if (expectedSequence - 1 < headSequence) {
+    issueCount += 1;
+    addIssue({ sequence: expectedSequence, problem: `entries ${expectedSequence} to ${headSequence} are missing` });
+  } else if (head && previousHash !== head.hash) {
+    issueCount += 1;
+    addIssue({ sequence: headSequence, problem: 'last entry does not match the chain head' });
   }
-  
-  // Calculate the exchange rate
-  return rates[toCurrency] / rates[fromCurrency];
-}
 
-function convertCurrency(amount, fromCurrency, toCurrency) {
-  const rate = getExchangeRate(fromCurrency, toCurrency);
-  return amount * rate;
+  return {
+    status: issueCount === 0 ? 'Valid' : 'Invalid',
+    entries_checked: entriesChecked,
+    head: { sequence: headSequence, hash: head ? head.hash : GENESIS_HASH },
+    issue_count: issueCount,
+    issues,
+  };
 }
 
-async function executeActions(eventType, payload) {
-  const entryGroupId = uuidv4();
-  const ledgerEntries = [];
-  const transactionId = payload.transaction_id || uuidv4();
-  const eventId = payload.event_id || uuidv4();
+// ==========================
+// Payout Schema and Model
+// ==========================
+// Tracks a merchant payout through Initiated -> Completed | Failed. Funds sit
+// in the "Payouts in Transit" clearing account while the payout is Initiated.
+const payoutSchema = new mongoose.Schema({
+  payout_id: { type: String, default: uuidv4 },
+  merchant_id: { type: String, required: true },
+  amount: { type: Number, required: true, validate: minorUnitsValidator },
+  currency: { type: String, required: true },
+  status: { type: String, required: true, enum: ['Initiated', 'Completed', 'Failed'] },
+  transaction_id: { type: String },
+  entry_group_ids: [{ type: String }],
+  failure_reason: { type: String },
+  initiated_at: { type: Date, default: Date.now },
+  completed_at: { type: Date },
+  failed_at: { type: Date },
+  metadata: { type: mongoose.Schema.Types.Mixed },
+});
 
-  let totalDebits = 0;
-  let totalCredits = 0;
+payoutSchema.index({ ledger_id: 1, payout_id: 1 }, { unique: true });
+payoutSchema.index({ merchant_id: 1, initiated_at: -1 });
+payoutSchema.set('toJSON', majorUnitsJSON('amount'));
 
-  console.log(`Processing ${eventType} event with payload:`, JSON.stringify(payload, null, 2));
+payoutSchema.plugin(tenantScopePlugin);
+const Payout = mongoose.model('Payout', payoutSchema);
 
-  switch (eventType) {
-    case 'PaymentCaptured':
-      const { amount, currency, merchantId, transactionFee } = payload;
-      
-      if (!amount || !currency || !merchantId || transactionFee === undefined) {
-        throw new Error('Missing required fields in payload for PaymentCaptured');
-      }
+// ==========================
+// Dispute Schema and Model
+// ==========================
+// A chargeback against a captured payment: Open -> Won | Lost. While Open the
+// disputed amount is held from the merchant payable in the disputes reserve.
+const disputeSchema = new mongoose.Schema({
+  dispute_id: { type: String, default: uuidv4 },
+  transaction_id: { type: String, required: true },
+  merchant_id: { type: String, required: true },
+  amount: { type: Number, required: true, validate: minorUnitsValidator },
+  currency: { type: String, required: true },
+  status: { type: String, required: true, enum: ['Open', 'Won', 'Lost'] },
+  reason: { type: String },
+  chargeback_fee: { type: Number, default: 0, validate: minorUnitsValidator },
+  entry_group_ids: [{ type: String }],
+  opened_at: { type: Date, default: Date.now },
+  resolved_at: { type: Date },
+  metadata: { type: mongoose.Schema.Types.Mixed },
+});
 
-      const sourceCurrency = currency;
-      const settlementCurrency = payload.settlementCurrency || sourceCurrency;
+disputeSchema.index({ ledger_id: 1, dispute_id: 1 }, { unique: true });
+disputeSchema.index({ merchant_id: 1, opened_at: -1 });
+disputeSchema.index({ transaction_id: 1 });
+// At most one open dispute per transaction, also between concurrent events
+disputeSchema.index(
+  { ledger_id: 1, transaction_id: 1 },
+  { unique: true, partialFilterExpression: { status: 'Open' } }
+);
+disputeSchema.set('toJSON', majorUnitsJSON('amount', 'chargeback_fee'));
 
-      let totalAmountInSettlementCurrency = amount;
-      let transactionFeeInSettlementCurrency = transactionFee;
-      let fxFee = 0;
-      let exchangeRate = 1;
+disputeSchema.plugin(tenantScopePlugin);
+const Dispute = mongoose.model('Dispute', disputeSchema);
 
-      // Perform currency conversion if needed
-      if (sourceCurrency !== settlementCurrency) {
-        exchangeRate = getExchangeRate(sourceCurrency, settlementCurrency);
-        totalAmountInSettlementCurrency = amount * exchangeRate;
-        transactionFeeInSettlementCurrency = transactionFee * exchangeRate;
-        
-        // Calculate FX fee
-        const fxFeeRate = ledgerConfig.fx_fees[sourceCurrency]?.[settlementCurrency] || 0;
-        fxFee = amount * fxFeeRate * exchangeRate;
-      }
+// ==========================
+// Balance Policies
+// ==========================
+// Every posting path goes through postLedgerEntries, which checks the policy
+// of each account an entry group lowers once all of its entries are applied.
+// The check runs in the posting transaction on the balance just written, so
+// it cannot be bypassed by a concurrent posting. Refunds and payouts draw on
+// the Merchant Payable accounts, which are Liability accounts; the default
+// configuration forbids Liability accounts to go negative, so neither can
+// spend more than a merchant's available balance.
 
-      // Create ledger entries
-      ledgerEntries.push(
-        // Debit Cash (in settlement currency)
-        {
-          account_id: (await findOrCreateAccount({
-            account_name: `Cash - ${settlementCurrency}`,
-            currency: settlementCurrency,
-            account_type: 'Asset',
-            nature: 'Debit',
-          })).account_id,
-          entry_type: 'Debit',
-          amount: totalAmountInSettlementCurrency,
-          currency: settlementCurrency,
-          description: `Funds received from customer ${payload.customerId || ''}`,
+// Policy in effect for an account: its own, else the configured one for its type
+function resolveBalancePolicy(account) {
+  const settings = getLedgerConfig().balance_policies || {};
+  return account.balance_policy ||
+    settings.by_account_type?.[account.account_type] ||
+    settings.default ||
+    'allow_negative';
+}
+
+// Lowest balance the policy allows, or null for no floor
+function balanceFloor(account) {
+  switch (resolveBalancePolicy(account)) {
+    case 'forbid_negative':
+      return 0;
+    case 'credit_limit':
+      return -(account.credit_limit || 0);
+    default:
+      return null;
+  }
+}
+
+// Reject a posting that took an account's available balance, the posted
+// balance less what holds reserve, below its floor. Accounts that were already
+// below it (e.g. before the policy was set) may still be raised.
+function assertBalancePolicy(account, balanceBefore) {
+  const floor = balanceFloor(account);
+  const { available } = accountBalances(account);
+  if (floor === null || available >= floor || account.balance >= balanceBefore) {
+    return;
+  }
+
+  const policy = resolveBalancePolicy(account);
+  const details = {
+    account_id: account.account_id,
+    account_name: account.account_name,
+    currency: account.currency,
+    balance_policy: policy,
+    balance: fromMinorUnits(balanceBefore, account.currency),
+    resulting_balance: fromMinorUnits(account.balance, account.currency),
+    resulting_available_balance: fromMinorUnits(available, account.currency),
+  };
+  if (policy === 'credit_limit') {
+    throw new LedgerError(`Posting would exceed the credit limit of account ${account.account_name} (${account.account_id})`, {
+      status: 422,
+      code: 'CREDIT_LIMIT_EXCEEDED',
+      details: { ...details, credit_limit: fromMinorUnits(account.credit_limit || 0, account.currency) },
+    });
+  }
+  throw new LedgerError(`Insufficient funds in account ${account.account_name} (${account.account_id})`, {
+    status: 422,
+    code: 'INSUFFICIENT_FUNDS',
+    details,
+  });
+}
+
+// Check and convert balancePolicy/creditLimit from an account request.
+// Returns the fields to set on the account.
+function parseBalancePolicyInput({ balancePolicy, creditLimit }, currency, existing = {}) {
+  const fields = {};
+  if (balancePolicy !== undefined) {
+    if (balancePolicy !== null && !BALANCE_POLICIES.includes(balancePolicy)) {
+      throw new LedgerError(`Invalid balance policy ${balancePolicy}`, {
+        code: 'INVALID_BALANCE_POLICY',
+        details: { allowed: BALANCE_POLICIES },
+      });
+    }
+    fields.balance_policy = balancePolicy;
+  }
+  if (creditLimit !== undefined) {
+    const limit = creditLimit === null ? null : toMinorUnits(creditLimit, currency);
+    if (limit !== null && limit < 0) {
+      throw new LedgerError('Invalid credit limit: it must not be negative', { code: 'INVALID_BALANCE_POLICY' });
+    }
+    fields.credit_limit = limit;
+  }
+
+  const policy = fields.balance_policy === undefined ? existing.balance_policy : fields.balance_policy;
+  const limit = fields.credit_limit === undefined ? existing.credit_limit : fields.credit_limit;
+  if (policy === 'credit_limit' && (limit === undefined || limit === null)) {
+    throw new LedgerError('Invalid balance policy: credit_limit requires creditLimit', { code: 'INVALID_BALANCE_POLICY' });
+  }
+  return fields;
+}
+
+// ==========================
+// Holds and Authorizations
+// ==========================
+// A hold is a pending entry: recorded against an account but not posted.
+// PaymentAuthorized places an authorization hold with one leg per entry the
+// capture is expected to post (Cash debit, Merchant Payable credit).
+// Capturing the payment or AuthorizationVoided resolves it. Manual holds
+// reserve existing funds on one account, e.g. a merchant under review.
+// Holds still active at `expires_at` expire.
+//
+// Accounts keep the totals of their active holds in pending_debits and
+// pending_credits. In the account's nature:
+//   posted balance    = balance
+//   pending balance   = posted + pending increases - pending decreases
+//   available balance = posted - pending decreases
+
+const holdSchema = new mongoose.Schema({
+  hold_id: { type: String, default: uuidv4, unique: true },
+  // Legs of one authorization or manual hold share a group and are resolved together
+  hold_group_id: { type: String, required: true },
+  kind: { type: String, required: true, enum: ['authorization', 'manual'] },
+  account_id: { type: String, required: true },
+  entry_type: { type: String, required: true, enum: ['Debit', 'Credit'] },
+  amount: { type: Number, required: true, validate: minorUnitsValidator },
+  currency: { type: String, required: true },
+  // Authorized amount in the payment currency, which captures are checked against
+  source_amount: { type: Number, validate: minorUnitsValidator },
+  source_currency: { type: String },
+  transaction_id: { type: String },
+  merchant_id: { type: String },
+  reason: { type: String },
+  status: { type: String, required: true, enum: ['Active', 'Captured', 'Voided', 'Released', 'Expired'], default: 'Active' },
+  expires_at: { type: Date },
+  resolved_at: { type: Date },
+  capture_entry_group_id: { type: String },
+  principal: { type: principalSchema, default: currentPrincipal },
+  metadata: { type: mongoose.Schema.Types.Mixed },
+  created_at: { type: Date, default: Date.now },
+});
+
+holdSchema.index({ status: 1, expires_at: 1 });
+holdSchema.index({ hold_group_id: 1 });
+holdSchema.index({ transaction_id: 1, kind: 1, created_at: -1 });
+holdSchema.index({ account_id: 1, status: 1 });
+
+const holdMajorUnitsJSON = majorUnitsJSON('amount');
+holdSchema.set('toJSON', {
+  transform(doc, ret) {
+    holdMajorUnitsJSON.transform(doc, ret);
+    if (typeof ret.source_amount === 'number') {
+      ret.source_amount = fromMinorUnits(ret.source_amount, ret.source_currency);
+    }
+    return ret;
+  },
+});
+
+holdSchema.plugin(tenantScopePlugin);
+const Hold = mongoose.model('Hold', holdSchema);
+
+// Posted, pending and available balance of an account, in minor units
+function accountBalances(account) {
+  const pendingDebits = account.pending_debits || 0;
+  const pendingCredits = account.pending_credits || 0;
+  const [increases, decreases] = account.nature === 'Debit'
+    ? [pendingDebits, pendingCredits]
+    : [pendingCredits, pendingDebits];
+
+  return {
+    posted: account.balance,
+    pending: account.balance + increases - decreases,
+    available: account.balance - decreases,
+  };
+}
+
+// Add `amount` (negative to release) to an account's pending totals
+async function adjustPendingBalance(accountId, entryType, amount, session) {
+  const field = entryType === 'Debit' ? 'pending_debits' : 'pending_credits';
+  const account = await Account.findOneAndUpdate(
+    { account_id: accountId },
+    { $inc: { [field]: amount, __v: 1 }, $set: { updated_at: Date.now() } },
+    { new: true, session }
+  );
+  if (!account) {
+    throw new LedgerError(`Account with ID ${accountId} not found`, { status: 404, code: 'ACCOUNT_NOT_FOUND' });
+  }
+  return account;
+}
+
+// Place a group of holds: [{ account_id, entry_type, amount, currency }].
+// Manual holds may only reserve funds that are available.
+async function placeHolds(legs, { kind, transactionId, merchantId, reason, expiresAt, sourceAmount, sourceCurrency, metadata }, session) {
+  const holdGroupId = uuidv4();
+  const holds = [];
+
+  for (const leg of legs) {
+    const account = await Account.findOne({ account_id: leg.account_id }).session(session);
+    assertPostable(account, leg.account_id, leg.currency);
+
+    const updatedAccount = await adjustPendingBalance(leg.account_id, leg.entry_type, leg.amount, session);
+    const { available } = accountBalances(updatedAccount);
+    if (kind === 'manual' && available < 0) {
+      throw new LedgerError(`Insufficient funds in account ${account.account_name} (${account.account_id}) for a hold`, {
+        status: 422,
+        code: 'INSUFFICIENT_FUNDS',
+        details: {
+          account_id: account.account_id,
+          currency: account.currency,
+          available_balance: fromMinorUnits(available + leg.amount, account.currency),
+          required: fromMinorUnits(leg.amount, account.currency),
+        },
+      });
+    }
+
+    const hold = new Hold({
+      hold_group_id: holdGroupId,
+      kind,
+      account_id: leg.account_id,
+      entry_type: leg.entry_type,
+      amount: leg.amount,
+      currency: leg.currency,
+      source_amount: sourceAmount,
+      source_currency: sourceCurrency,
+      transaction_id: transactionId,
+      merchant_id: merchantId,
+      reason,
+      expires_at: expiresAt,
+      metadata,
+    });
+    await hold.save({ session });
+    holds.push(hold);
+  }
+
+  await recordAudit({
+    action: 'holds.placed',
+    entityType: 'hold_group',
+    entityId: holdGroupId,
+    after: { kind, transaction_id: transactionId, expires_at: expiresAt, holds },
+  }, session);
+  return holds;
+}
+
+// Resolve a group's active holds with `status` and release their pending amounts
+async function resolveHoldGroup(holdGroupId, status, { captureEntryGroupId } = {}, session) {
+  const holds = await Hold.find({ hold_group_id: holdGroupId, status: 'Active' }).session(session);
+  if (holds.length === 0) {
+    return [];
+  }
+
+  const { modifiedCount } = await Hold.updateMany(
+    { hold_group_id: holdGroupId, status: 'Active' },
+    { $set: { status, resolved_at: new Date(), capture_entry_group_id: captureEntryGroupId } },
+    { session }
+  );
+  if (modifiedCount !== holds.length) {
+    throw new Error(`Holds ${holdGroupId} were resolved concurrently, please retry`);
+  }
+
+  for (const hold of holds) {
+    await adjustPendingBalance(hold.account_id, hold.entry_type, -hold.amount, session);
+  }
+
+  await recordAudit({
+    action: `holds.${status.toLowerCase()}`,
+    entityType: 'hold_group',
+    entityId: holdGroupId,
+    before: { status: 'Active' },
+    after: { status, capture_entry_group_id: captureEntryGroupId },
+  }, session);
+  return holds;
+}
+
+// The latest authorization of a transaction, or null
+async function findAuthorization(transactionId, session) {
+  const latest = await Hold.findOne({ transaction_id: transactionId, kind: 'authorization' })
+    .sort({ created_at: -1 })
+    .session(session);
+  if (!latest) {
+    return null;
+  }
+
+  const holds = await Hold.find({ hold_group_id: latest.hold_group_id }).session(session);
+  return {
+    holdGroupId: latest.hold_group_id,
+    status: latest.status,
+    amount: latest.source_amount,
+    currency: latest.source_currency,
+    merchantId: latest.merchant_id,
+    holds,
+  };
+}
+
+// Fail unless the transaction has an active authorization
+function assertAuthorizationActive(authorization, transactionId) {
+  if (!authorization) {
+    throw new LedgerError(`No authorization found for transaction ${transactionId}`, {
+      status: 404,
+      code: 'AUTHORIZATION_NOT_FOUND',
+    });
+  }
+  if (authorization.status !== 'Active') {
+    throw new LedgerError(`Authorization for transaction ${transactionId} is ${authorization.status.toLowerCase()}`, {
+      status: 409,
+      code: 'AUTHORIZATION_NOT_ACTIVE',
+      details: { transaction_id: transactionId, status: authorization.status },
+    });
+  }
+}
+
+// A capture of an authorized transaction may take up to the authorized
+// amount. The authorization is resolved, releasing any remainder. Captures
+// of transactions that were never authorized are posted as before.
+async function captureAuthorization(payload, captureEntryGroupId, session) {
+  const authorization = payload.transaction_id && await findAuthorization(payload.transaction_id, session);
+  if (!authorization) {
+    return;
+  }
+
+  assertAuthorizationActive(authorization, payload.transaction_id);
+  if (authorization.currency !== payload.currency || authorization.merchantId !== payload.merchantId) {
+    throw new LedgerError(`Capture does not match the authorization of transaction ${payload.transaction_id}`, {
+      status: 422,
+      code: 'CAPTURE_MISMATCH',
+      details: { currency: authorization.currency, merchant_id: authorization.merchantId },
+    });
+  }
+  if (toMinorUnits(payload.amount, payload.currency) > authorization.amount) {
+    throw new LedgerError(`Capture amount exceeds the authorized amount of ${fromMinorUnits(authorization.amount, authorization.currency)} ${authorization.currency}`, {
+      status: 422,
+      code: 'CAPTURE_EXCEEDS_AUTHORIZATION',
+      details: { authorized_amount: fromMinorUnits(authorization.amount, authorization.currency) },
+    });
+  }
+
+  await resolveHoldGroup(authorization.holdGroupId, 'Captured', { captureEntryGroupId }, session);
+}
+
+// Expire the holds of the current ledger that passed their expiry
+async function expireHolds(now = new Date()) {
+  const holdGroupIds = await Hold.distinct('hold_group_id', { status: 'Active', expires_at: { $lte: now } });
+  for (const holdGroupId of holdGroupIds) {
+    await withTransaction((session) => resolveHoldGroup(holdGroupId, 'Expired', {}, session));
+  }
+  return { expired: holdGroupIds.length };
+}
+
+let holdExpiryTask = null;
+
+// (Re)schedule hold expiry according to `ledgerConfig.holds`
+function scheduleHoldExpiry() {
+  if (holdExpiryTask) {
+    holdExpiryTask.stop();
+    holdExpiryTask = null;
+  }
+
+  const settings = ledgerConfig.holds;
+  if (!settings || !settings.enabled || !settings.schedule) {
+    return;
+  }
+
+  if (!cron.validate(settings.schedule)) {
+    console.warn('Invalid hold expiry schedule:', settings.schedule);
+    return;
+  }
+
+  holdExpiryTask = cron.schedule(settings.schedule, async () => {
+    try {
+      await forEachLedger(async ({ ledger_id: ledgerId }) => {
+        if (getLedgerConfig().holds?.enabled === false) {
+          return;
+        }
+        const result = await expireHolds();
+        if (result.expired > 0) {
+          console.log(`Expired ${result.expired} hold group(s) for ledger ${ledgerId}`);
         }
+      });
+    } catch (error) {
+      console.error('Error expiring holds:', error.message);
+    }
+  });
+}
+
+scheduleHoldExpiry();
+
+// ==========================
+// Helper Functions
+// ==========================
+
+// Check that entries (or holds) in `currency` can be recorded on an account
+function assertPostable(account, accountId, currency) {
+  if (!account) {
+    throw new LedgerError(`Account with ID ${accountId} not found`, { status: 404, code: 'ACCOUNT_NOT_FOUND' });
+  }
+
+  if (account.is_header) {
+    throw new LedgerError(`Cannot post to header account ${account.account_name} (${accountId})`, {
+      status: 422,
+      code: 'HEADER_ACCOUNT',
+    });
+  }
+
+  if (account.status !== 'Active') {
+    throw new LedgerError(`Account ${account.account_name} (${accountId}) is ${account.status.toLowerCase()}; cannot post entries`, {
+      status: 422,
+      code: 'ACCOUNT_NOT_POSTABLE',
+    });
+  }
+
+  if (account.currency !== currency) {
+    throw new LedgerError(`Currency mismatch: Account currency (${account.currency}) does not match entry currency (${currency})`, {
+      status: 422,
+      code: 'CURRENCY_MISMATCH',
+    });
+  }
+
+  // A stored document without the flag still holds major units
+  if (account.$isDefault('minor_units')) {
+    throw new Error(`Account ${account.account_name} (${accountId}) has not been converted to minor units; run npm run migrate`);
+  }
+}
+
+// Apply an entry to its account's balance with an atomic $inc. The update is
+// conditional on the version of the account the checks were made against,
+// and bumps it, so a concurrent status or structure change cannot slip in
+// between and concurrent account updates detect the posting.
+async function updateAccountBalance(accountId, entryType, amount, currency, session) {
+  const account = await Account.findOne({ account_id: accountId }).session(session);
+  assertPostable(account, accountId, currency);
+
+  // Update balance based on account nature and entry type
+  let balanceChange = amount;
+  if (account.nature === 'Debit') {
+    balanceChange = entryType === 'Debit' ? amount : -amount;
+  } else if (account.nature === 'Credit') {
+    balanceChange = entryType === 'Credit' ? amount : -amount;
+  }
+
+  const updatedAccount = await Account.findOneAndUpdate(
+    { account_id: accountId, __v: account.__v ?? null },
+    { $inc: { balance: balanceChange, __v: 1 }, $set: { updated_at: Date.now() } },
+    { new: true, session }
+  );
+  if (!updatedAccount) {
+    throw new Error(`Account ${accountId} was modified concurrently, please retry`);
+  }
+  updatedAccount.$locals.balanceBefore = account.balance;
+  return updatedAccount;
+}
+
+// Runs `work` inside a MongoDB transaction so that an entry group is posted
+// all-or-nothing. The callback may be retried on transient errors, so it must
+// not have side effects outside the session.
+async function withTransaction(work) {
+  return mongoose.connection.transaction((session) => work(session));
+}
+
+// Save ledger entries and apply their balance changes within the given session.
+// The entries of a group share one posting date, which is checked against the
+// accounting periods and may be moved out of a closed period.
+async function postLedgerEntries(ledgerEntries, session) {
+  // A retried transaction sees entries already moved; keep the original date
+  const [firstEntry] = ledgerEntries;
+  firstEntry.$locals.requestedPostingDate ??= firstEntry.timestamp || new Date();
+  const requestedDate = firstEntry.$locals.requestedPostingDate;
+  const postingDate = await resolvePostingDate(requestedDate, session);
+  const redirected = postingDate.getTime() !== requestedDate.getTime();
+
+  for (const ledgerEntry of ledgerEntries) {
+    ledgerEntry.timestamp = postingDate;
+    if (redirected) {
+      ledgerEntry.metadata = { ...ledgerEntry.metadata, requested_posting_date: requestedDate };
+    }
+  }
+
+  await invalidateBalanceSnapshots(ledgerEntries, postingDate, session);
+  await chainLedgerEntries(ledgerEntries, session);
+
+  const changedAccounts = new Map();
+  const balancesBefore = new Map();
+  for (const ledgerEntry of ledgerEntries) {
+    await ledgerEntry.save({ session });
+    const account = await updateAccountBalance(
+      ledgerEntry.account_id,
+      ledgerEntry.entry_type,
+      ledgerEntry.amount,
+      ledgerEntry.currency,
+      session
+    );
+    if (!balancesBefore.has(account.account_id)) {
+      balancesBefore.set(account.account_id, account.$locals.balanceBefore);
+    }
+    changedAccounts.set(account.account_id, account);
+  }
+
+  // Checked on the group's net effect, so the order of its entries does not matter
+  for (const account of changedAccounts.values()) {
+    assertBalancePolicy(account, balancesBefore.get(account.account_id));
+  }
+
+  await recordAudit({
+    action: 'entries.posted',
+    entityType: 'entry_group',
+    entityId: firstEntry.entryGroupId,
+    after: {
+      timestamp: postingDate,
+      event_id: firstEntry.event_id,
+      entries: ledgerEntries.map((entry) => ({
+        entry_id: entry.entry_id,
+        account_id: entry.account_id,
+        entry_type: entry.entry_type,
+        amount: entry.amount,
+        currency: entry.currency,
+        sequence: entry.sequence,
+        hash: entry.hash,
+      })),
+    },
+  }, session);
+
+  await writeOutboxEvent('entry_group.posted', firstEntry.entryGroupId, {
+    entry_group_id: firstEntry.entryGroupId,
+    transaction_id: firstEntry.transaction_id,
+    event_id: firstEntry.event_id,
+    event_type: firstEntry.event_type,
+    timestamp: postingDate,
+    entries: ledgerEntries.map((entry) => ({
+      entry_id: entry.entry_id,
+      account_id: entry.account_id,
+      entry_type: entry.entry_type,
+      amount: fromMinorUnits(entry.amount, entry.currency),
+      currency: entry.currency,
+      description: entry.description,
+      is_reversal: entry.isReversal,
+    })),
+  }, session);
+  for (const account of changedAccounts.values()) {
+    await writeOutboxEvent('account.balance_changed', account.account_id, {
+      account_id: account.account_id,
+      account_name: account.account_name,
+      currency: account.currency,
+      balance: fromMinorUnits(account.balance, account.currency),
+      entry_group_id: firstEntry.entryGroupId,
+    }, session);
+  }
+
+  return ledgerEntries;
+}
+
+// Build the LedgerEntry documents for one entry group and post them
+async function postEntryGroup(entries, { entryGroupId, transactionId, eventId, eventType, postingRule, timestamp }, session) {
+  const ledgerEntries = entries.map((entryData) => new LedgerEntry({
+    entry_id: uuidv4(),
+    timestamp,
+    entryGroupId,
+    transaction_id: transactionId,
+    event_id: eventId,
+    event_type: eventType,
+    account_id: entryData.account_id,
+    entry_type: entryData.entry_type,
+    amount: entryData.amount,
+    currency: entryData.currency,
+    description: entryData.description,
+    metadata: {
+      ...entryData.metadata,
+      event_id: eventId  // Add event_id to metadata
+    },
+    posting_rule_id: postingRule?.rule_id,
+    posting_rule_version: postingRule?.version,
+  }));
+
+  return postLedgerEntries(ledgerEntries, session);
+}
+
+// Helper function to find or create an account
+async function findOrCreateAccount(accountCriteria, session) {
+  // Check if the account exists in the configuration
+  const configAccount = getLedgerConfig().accounts[accountCriteria.account_type.toLowerCase()]?.[accountCriteria.currency];
+  
+  if (configAccount) {
+    accountCriteria = { ...configAccount, ...accountCriteria };
+  }
+
+  const existing = await Account.findOne({
+    account_name: accountCriteria.account_name,
+    currency: accountCriteria.currency,
+  }).session(session);
+  if (existing) {
+    return existing;
+  }
+
+  // Create the account using the configuration or provided criteria. The
+  // upsert on the unique name and currency means concurrent postings for a
+  // new merchant end up with one account.
+  const uniqueId = uuidv4();
+  const newAccount = new Account({
+    account_id: uniqueId,
+    account_number: uniqueId,
+    ...accountCriteria,
+    balance: 0,
+    status: 'Active',
+    metadata: accountCriteria.metadata || {},
+  });
+  await newAccount.validate();
+  const { _id, ...fields } = newAccount.toObject({ depopulate: true });
+
+  const result = await Account.findOneAndUpdate(
+    { account_name: newAccount.account_name, currency: newAccount.currency },
+    { $setOnInsert: { ...fields, __v: 0 } },
+    { upsert: true, new: true, session, includeResultMetadata: true }
+  );
+  const account = result.value;
+
+  if (!result.lastErrorObject?.updatedExisting) {
+    await recordAudit({ action: 'account.created', entityType: 'account', entityId: account.account_id, after: account }, session);
+  }
+
+  return account;
+}
+
+// Quote a rate from the stored rate history loaded for the current event,
+// falling back to the static table in the configuration. The quote carries
+// the IDs of the ExchangeRate documents used so entries can record them.
+function getExchangeRateQuote(fromCurrency, toCurrency, rates = ledgerContext.getStore()?.rates) {
+  if (fromCurrency === toCurrency) {
+    return { rate: 1, rate_ids: [], source: 'identity' };
+  }
+
+  const storedQuote = rates ? findStoredRate(rates, fromCurrency, toCurrency) : null;
+  if (storedQuote) {
+    return storedQuote;
+  }
+
+  const { rates: configRates } = getLedgerConfig().exchange_rates;
+  if (!configRates[fromCurrency] || !configRates[toCurrency]) {
+    throw new LedgerError(`Exchange rate not available for ${fromCurrency} to ${toCurrency}`, {
+      status: 422,
+      code: 'EXCHANGE_RATE_UNAVAILABLE',
+    });
+  }
+  
+  // Calculate the exchange rate
+  return { rate: configRates[toCurrency] / configRates[fromCurrency], rate_ids: [], source: 'config' };
+}
+
+function getExchangeRate(fromCurrency, toCurrency) {
+  const quote = getExchangeRateQuote(fromCurrency, toCurrency);
+
+  // Remember the quotes an event used so posting rules can record them
+  const context = ledgerContext.getStore();
+  if (context && quote.source !== 'identity') {
+    context.fxQuotes.push(fxMetadata(quote, fromCurrency, toCurrency));
+  }
+  return quote.rate;
+}
+
+// Metadata recorded on entries produced with an exchange rate
+function fxMetadata(quote, fromCurrency, toCurrency) {
+  return {
+    from_currency: fromCurrency,
+    to_currency: toCurrency,
+    rate: quote.rate,
+    rate_ids: quote.rate_ids,
+    rate_source: quote.source,
+    rate_effective_at: quote.effective_at,
+  };
+}
+
+// Convert a minor-unit amount between currencies, applying the FX rounding rule
+function convertCurrency(amount, fromCurrency, toCurrency, rate = getExchangeRate(fromCurrency, toCurrency)) {
+  const exponentShift = getCurrencyExponent(toCurrency) - getCurrencyExponent(fromCurrency);
+  return roundMinorUnits(amount * rate * 10 ** exponentShift, getRoundingMode('fx'));
+}
+
+// Roles of the entries in a capture group, recorded as metadata.capture_leg
+const CAPTURE_LEGS = ['cash', 'merchant_payable', 'transaction_fee', 'fx_fee'];
+
+// Metadata keys the ledger sets on capture and refund entries to find them
+// again, which event payloads may not supply
+const SYSTEM_METADATA_KEYS = ['capture_leg', 'refund_leg', 'refunded_source_amount', 'source_amount', 'source_currency'];
+
+// Event payload metadata without the system keys
+function clientMetadata(metadata) {
+  return Object.fromEntries(Object.entries(metadata || {}).filter(([key]) => !SYSTEM_METADATA_KEYS.includes(key)));
+}
+
+// Recognise capture entries without a capture_leg by their accounts: captures
+// posted before the legs were tagged, or by posting rules that do not declare
+// them. Merchant payables are found by name, fees by the configured accounts.
+async function identifyCaptureLegs(entries, session) {
+  const accounts = await Account.find({ account_id: { $in: entries.map((entry) => entry.account_id) } }).session(session);
+  const accountsById = new Map(accounts.map((account) => [account.account_id, account]));
+  const revenueAccounts = getLedgerConfig().accounts.revenue || {};
+
+  const legs = {};
+  for (const entry of entries) {
+    const account = accountsById.get(entry.account_id);
+    if (!account) {
+      continue;
+    }
+
+    let leg;
+    if (entry.entry_type === 'Debit' && account.account_type === 'Asset') {
+      leg = 'cash';
+    } else if (entry.entry_type === 'Credit' && account.account_name.startsWith('Merchant Payable - ')) {
+      leg = 'merchant_payable';
+    } else if (entry.entry_type === 'Credit' && account.account_name === revenueAccounts.transaction_fees?.account_name) {
+      leg = 'transaction_fee';
+    } else if (entry.entry_type === 'Credit' && account.account_name === revenueAccounts.fx_fees?.account_name) {
+      leg = 'fx_fee';
+    }
+    if (leg && !legs[leg]) {
+      legs[leg] = entry;
+    }
+  }
+  return legs;
+}
+
+// Summarise the PaymentCaptured entry group of a transaction in settlement
+// currency minor units. Returns null when there is no capture or it was reversed.
+async function findCapture(transactionId, session) {
+  if (!transactionId) {
+    return null;
+  }
+
+  const captureEntries = await LedgerEntry.find({
+    transaction_id: transactionId,
+    event_type: 'PaymentCaptured',
+    isReversal: false,
+  }).sort({ timestamp: 1 }).session(session);
+  if (captureEntries.length === 0) {
+    return null;
+  }
+
+  // Only consider the first capture group if a transaction_id was reused
+  const groupEntries = captureEntries.filter((entry) => entry.entryGroupId === captureEntries[0].entryGroupId);
+  if (groupEntries.some((entry) => entry.isReversed)) {
+    return null;
+  }
+
+  let legs = {};
+  for (const entry of groupEntries) {
+    if (entry.metadata?.capture_leg) {
+      legs[entry.metadata.capture_leg] = entry;
+    }
+  }
+  const untagged = groupEntries.filter((entry) => !entry.metadata?.capture_leg);
+  if (untagged.length > 0) {
+    legs = { ...await identifyCaptureLegs(untagged, session), ...legs };
+  }
+  if (!legs.cash || !legs.merchant_payable) {
+    return null;
+  }
+
+  let merchantId = legs.merchant_payable.metadata?.merchantId;
+  if (!merchantId) {
+    const merchantAccount = await Account.findOne({ account_id: legs.merchant_payable.account_id }).session(session);
+    merchantId = merchantAccount?.account_name.replace(/^Merchant Payable - /, '');
+  }
+
+  return {
+    transactionId,
+    entryGroupId: legs.cash.entryGroupId,
+    merchantId,
+    currency: legs.cash.currency,
+    amount: legs.cash.amount,
+    merchantAmount: legs.merchant_payable.amount,
+    transactionFee: legs.transaction_fee ? legs.transaction_fee.amount : 0,
+    fxFee: legs.fx_fee ? legs.fx_fee.amount : 0,
+    sourceAmount: legs.cash.metadata.source_amount ?? legs.cash.amount,
+    sourceCurrency: legs.cash.metadata.source_currency || legs.cash.currency,
+  };
+}
+
+const REFUND_EVENT_TYPES = ['PaymentRefunded', 'PaymentPartiallyRefunded'];
+
+// How much of a capture has been returned to the customer or is at stake, in
+// settlement currency minor units: `refunded` by refunds and `disputed` by
+// open or lost disputes. `refundedSource` is the refunded amount in the
+// capture's source currency.
+async function findCaptureClaims(capture, session) {
+  const refunds = await LedgerEntry.find({
+    transaction_id: capture.transactionId,
+    event_type: { $in: REFUND_EVENT_TYPES },
+    'metadata.refund_leg': 'cash',
+    isReversal: false,
+    isReversed: false,
+  }).session(session);
+  const disputes = await Dispute.find({
+    transaction_id: capture.transactionId,
+    status: { $in: ['Open', 'Lost'] },
+  }).session(session);
+
+  return {
+    refunded: refunds.reduce((sum, entry) => sum + entry.amount, 0),
+    refundedSource: refunds.reduce((sum, entry) => sum + (entry.metadata.refunded_source_amount || 0), 0),
+    disputed: disputes.reduce((sum, dispute) => sum + dispute.amount, 0),
+  };
+}
+
+// An event payload lacks fields its type requires; retrying cannot help
+function missingFieldsError(eventType) {
+  return new LedgerError(`Missing required fields in payload for ${eventType}`, { code: 'INVALID_PAYLOAD' });
+}
+
+// Build the entries for a full or partial refund of a captured payment.
+// Refunds are expressed in the capture's source currency and pro-rated against
+// the capture's settlement amounts, so the original FX rate is reused. Amounts
+// come from cumulative totals, so the last refund leaves no rounding residue.
+async function buildRefundEntries(eventType, payload, session) {
+  const isPartial = eventType === 'PaymentPartiallyRefunded';
+
+  // Ensure required fields are present
+  if (!payload.transaction_id || !payload.currency || (isPartial && !payload.refundAmount)) {
+    throw missingFieldsError(eventType);
+  }
+
+  const capture = await findCapture(payload.transaction_id, session);
+  if (!capture) {
+    throw new LedgerError(`No capture found for transaction ${payload.transaction_id}`, {
+      status: 404,
+      code: 'CAPTURE_NOT_FOUND',
+    });
+  }
+  if (payload.merchantId && payload.merchantId !== capture.merchantId) {
+    throw new LedgerError(`Refund merchant ${payload.merchantId} does not match the capture merchant ${capture.merchantId}`, {
+      status: 422,
+      code: 'REFUND_MISMATCH',
+    });
+  }
+  if (payload.currency !== capture.sourceCurrency) {
+    throw new LedgerError(`Refund currency ${payload.currency} does not match the capture currency ${capture.sourceCurrency}`, {
+      status: 422,
+      code: 'REFUND_MISMATCH',
+    });
+  }
+
+  // Cumulative amount already refunded, in source currency minor units
+  const { refundedSource: refundedBefore, disputed } = await findCaptureClaims(capture, session);
+  if (refundedBefore >= capture.sourceAmount) {
+    throw new LedgerError(`Transaction ${payload.transaction_id} has already been fully refunded`, {
+      status: 409,
+      code: 'ALREADY_REFUNDED',
+    });
+  }
+
+  // Funds under an open or lost dispute go back to the customer through the
+  // chargeback, so they cannot also be refunded
+  const disputedSource = roundMinorUnits(disputed * capture.sourceAmount / capture.amount, getRoundingMode('fx'));
+  const refundable = Math.max(capture.sourceAmount - refundedBefore - disputedSource, 0);
+  if (refundable === 0) {
+    throw new LedgerError(`Refund amount cannot exceed the refundable amount of 0 ${payload.currency}: the rest of the capture is disputed`, {
+      status: 422,
+      code: 'REFUND_EXCEEDS_REFUNDABLE',
+    });
+  }
+
+  let refundAmount = refundable;
+  if (isPartial) {
+    refundAmount = toMinorUnits(payload.refundAmount, payload.currency);
+  } else if (payload.amount !== undefined && toMinorUnits(payload.amount, payload.currency) < refundable) {
+    throw new LedgerError(`Full refund amount does not match the remaining refundable amount of ${fromMinorUnits(refundable, payload.currency)} ${payload.currency}`, {
+      status: 422,
+      code: 'REFUND_AMOUNT_MISMATCH',
+    });
+  } else if (payload.amount !== undefined) {
+    refundAmount = toMinorUnits(payload.amount, payload.currency);
+  }
+
+  if (refundAmount <= 0) {
+    throw new LedgerError(`Invalid amount ${payload.refundAmount} for currency ${payload.currency}`, {
+      code: 'INVALID_AMOUNT',
+    });
+  }
+  if (refundAmount > refundable) {
+    throw new LedgerError(`Refund amount cannot exceed the refundable amount of ${fromMinorUnits(refundable, payload.currency)} ${payload.currency}`, {
+      status: 422,
+      code: 'REFUND_EXCEEDS_REFUNDABLE',
+    });
+  }
+
+  const refundedAfter = refundedBefore + refundAmount;
+  const prorate = (total) =>
+    roundMinorUnits(total * refundedAfter / capture.sourceAmount, getRoundingMode('fx')) -
+    roundMinorUnits(total * refundedBefore / capture.sourceAmount, getRoundingMode('fx'));
+
+  // Fees are retained by default; the refund policy can return them pro rata
+  const refundPolicy = getLedgerConfig().refund_policy || {};
+  const cashRefund = prorate(capture.amount);
+  const transactionFeeReturned = refundPolicy.transaction_fee === 'returned' ? prorate(capture.transactionFee) : 0;
+  const fxFeeReturned = refundPolicy.fx_fee === 'returned' ? prorate(capture.fxFee) : 0;
+  const merchantDebit = cashRefund - transactionFeeReturned - fxFeeReturned;
+
+  // Fetch necessary accounts
+  const merchantPayableAccount = await findOrCreateAccount({
+    account_name: `Merchant Payable - ${capture.merchantId}`,
+    currency: capture.currency,
+    account_type: 'Liability',
+    nature: 'Credit',
+  }, session);
+
+  const cashAccount = await findOrCreateAccount({
+    account_name: `Cash - ${capture.currency}`,
+    currency: capture.currency,
+    account_type: 'Asset',
+    nature: 'Debit',
+  }, session);
+
+  const refundMetadata = {
+    ...clientMetadata(payload.metadata),
+    refundType: isPartial ? 'Partial' : 'Full',
+    originalAmount: capture.sourceAmount,
+  };
+  const refundDescription = isPartial ? 'Partial refund' : 'Refund';
+  const ledgerEntries = [];
+
+  // Debit Merchant Payable (Liability decrease)
+  if (merchantDebit > 0) {
+    ledgerEntries.push({
+      account_id: merchantPayableAccount.account_id,
+      entry_type: 'Debit',
+      amount: merchantDebit,
+      currency: capture.currency,
+      description: `${refundDescription} to customer for merchant ${capture.merchantId}`,
+      metadata: { ...refundMetadata, refund_leg: 'merchant_payable' }
+    });
+  }
+
+  // Debit fee revenue returned to the merchant
+  if (transactionFeeReturned > 0) {
+    ledgerEntries.push({
+      account_id: (await findOrCreateAccount({
+        ...getLedgerConfig().accounts.revenue.transaction_fees,
+        currency: capture.currency
+      }, session)).account_id,
+      entry_type: 'Debit',
+      amount: transactionFeeReturned,
+      currency: capture.currency,
+      description: 'Transaction fee returned on refund',
+      metadata: { ...refundMetadata, refund_leg: 'transaction_fee' }
+    });
+  }
+
+  if (fxFeeReturned > 0) {
+    ledgerEntries.push({
+      account_id: (await findOrCreateAccount({
+        ...getLedgerConfig().accounts.revenue.fx_fees,
+        currency: capture.currency
+      }, session)).account_id,
+      entry_type: 'Debit',
+      amount: fxFeeReturned,
+      currency: capture.currency,
+      description: 'FX fee returned on refund',
+      metadata: { ...refundMetadata, refund_leg: 'fx_fee' }
+    });
+  }
+
+  // Credit Cash (Asset decrease)
+  ledgerEntries.push({
+    account_id: cashAccount.account_id,
+    entry_type: 'Credit',
+    amount: cashRefund,
+    currency: capture.currency,
+    description: `Cash ${isPartial ? 'partially ' : ''}refunded to customer ${payload.customerId || ''}`,
+    metadata: { ...refundMetadata, refund_leg: 'cash', refunded_source_amount: refundAmount }
+  });
+
+  return ledgerEntries;
+}
+
+async function executeActions(eventType, payload, session) {
+  const entryGroupId = uuidv4();
+  const ledgerEntries = [];
+  // Dispute resolutions take the transaction_id of the dispute they resolve
+  let transactionId = payload.transaction_id || uuidv4();
+  const eventId = payload.event_id || uuidv4();
+
+  let totalDebits = 0;
+  let totalCredits = 0;
+
+  console.log(`Processing ${eventType} event with payload:`, JSON.stringify(payload, null, 2));
+
+  // Configured posting rules take precedence over the built-in handlers below
+  const postingRule = await findPostingRule(eventType, payload, session);
+  if (postingRule) {
+    if (eventType === 'PaymentCaptured') {
+      await captureAuthorization(payload, entryGroupId, session);
+    }
+    const ruleEntries = await applyPostingRule(postingRule, payload, session);
+    return postEntryGroup(ruleEntries, { entryGroupId, transactionId, eventId, eventType, postingRule }, session);
+  }
+
+  switch (eventType) {
+    case 'PaymentAuthorized': {
+      if (!payload.transaction_id || !payload.amount || !payload.currency || !payload.merchantId) {
+        throw missingFieldsError('PaymentAuthorized');
+      }
+      if (await findAuthorization(payload.transaction_id, session)) {
+        throw new LedgerError(`Transaction ${payload.transaction_id} is already authorized`, {
+          status: 409,
+          code: 'ALREADY_AUTHORIZED',
+        });
+      }
+
+      const ttlHours = getLedgerConfig().holds?.authorization_ttl_hours ?? 168;
+      const expiresAt = payload.expiresAt
+        ? new Date(payload.expiresAt)
+        : new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+      if (Number.isNaN(expiresAt.getTime())) {
+        throw new LedgerError(`Invalid expiresAt ${payload.expiresAt}`, { code: 'INVALID_PAYLOAD' });
+      }
+
+      // Hold the gross amount; fees are only known at capture
+      const authorizedAmount = toMinorUnits(payload.amount, payload.currency);
+      const authorizationCurrency = payload.settlementCurrency || payload.currency;
+      const heldAmount = authorizationCurrency === payload.currency
+        ? authorizedAmount
+        : convertCurrency(authorizedAmount, payload.currency, authorizationCurrency);
+
+      const cashAccountAuthorized = await findOrCreateAccount({
+        account_name: `Cash - ${authorizationCurrency}`,
+        currency: authorizationCurrency,
+        account_type: 'Asset',
+        nature: 'Debit',
+      }, session);
+      const merchantPayableAccountAuthorized = await findOrCreateAccount({
+        account_name: `Merchant Payable - ${payload.merchantId}`,
+        currency: authorizationCurrency,
+        account_type: 'Liability',
+        nature: 'Credit',
+      }, session);
+
+      await placeHolds([
+        { account_id: cashAccountAuthorized.account_id, entry_type: 'Debit', amount: heldAmount, currency: authorizationCurrency },
+        { account_id: merchantPayableAccountAuthorized.account_id, entry_type: 'Credit', amount: heldAmount, currency: authorizationCurrency },
+      ], {
+        kind: 'authorization',
+        transactionId: payload.transaction_id,
+        merchantId: payload.merchantId,
+        expiresAt,
+        sourceAmount: authorizedAmount,
+        sourceCurrency: payload.currency,
+        metadata: payload.metadata,
+      }, session);
+
+      // Nothing is posted until the capture
+      return [];
+    }
+
+    case 'AuthorizationVoided': {
+      if (!payload.transaction_id) {
+        throw missingFieldsError('AuthorizationVoided');
+      }
+      const voidedAuthorization = await findAuthorization(payload.transaction_id, session);
+      assertAuthorizationActive(voidedAuthorization, payload.transaction_id);
+      await resolveHoldGroup(voidedAuthorization.holdGroupId, 'Voided', {}, session);
+      return [];
+    }
+
+    case 'PaymentCaptured':
+      const { amount, currency, merchantId, transactionFee } = payload;
+      
+      if (!amount || !currency || !merchantId || transactionFee === undefined) {
+        throw missingFieldsError('PaymentCaptured');
+      }
+
+      const sourceCurrency = currency;
+      const settlementCurrency = payload.settlementCurrency || sourceCurrency;
+
+      // Work in minor units of the source currency
+      const amountMinor = toPositiveMinorUnits(amount, sourceCurrency);
+      const transactionFeeMinor = toMinorUnits(transactionFee, sourceCurrency);
+
+      await captureAuthorization(payload, entryGroupId, session);
+
+      let totalAmountInSettlementCurrency = amountMinor;
+      let transactionFeeInSettlementCurrency = transactionFeeMinor;
+      let fxFee = 0;
+      let captureFx;
+
+      // Perform currency conversion if needed
+      if (sourceCurrency !== settlementCurrency) {
+        const fxQuote = getExchangeRateQuote(sourceCurrency, settlementCurrency);
+        captureFx = fxMetadata(fxQuote, sourceCurrency, settlementCurrency);
+        totalAmountInSettlementCurrency = convertCurrency(amountMinor, sourceCurrency, settlementCurrency, fxQuote.rate);
+        transactionFeeInSettlementCurrency = convertCurrency(transactionFeeMinor, sourceCurrency, settlementCurrency, fxQuote.rate);
+        
+        // Calculate FX fee on the converted amount
+        const fxFeeRate = getLedgerConfig().fx_fees[sourceCurrency]?.[settlementCurrency] || 0;
+        fxFee = roundMinorUnits(totalAmountInSettlementCurrency * fxFeeRate, getRoundingMode('fees'));
+      }
+
+      // Create ledger entries
+      ledgerEntries.push(
+        // Debit Cash (in settlement currency)
+        {
+          account_id: (await findOrCreateAccount({
+            account_name: `Cash - ${settlementCurrency}`,
+            currency: settlementCurrency,
+            account_type: 'Asset',
+            nature: 'Debit',
+          }, session)).account_id,
+          entry_type: 'Debit',
+          amount: totalAmountInSettlementCurrency,
+          currency: settlementCurrency,
+          description: `Funds received from customer ${payload.customerId || ''}`,
+          metadata: {
+            ...clientMetadata(payload.metadata),
+            capture_leg: 'cash',
+            source_amount: amountMinor,
+            source_currency: sourceCurrency,
+            fx: captureFx,
+          },
+        }
+      );
+      totalDebits += totalAmountInSettlementCurrency;
+
+      // Credit Merchant Payable
+      ledgerEntries.push({
+        account_id: (await findOrCreateAccount({
+          account_name: `Merchant Payable - ${merchantId}`,
+          currency: settlementCurrency,
+          account_type: 'Liability',
+          nature: 'Credit',
+        }, session)).account_id,
+        entry_type: 'Credit',
+        amount: totalAmountInSettlementCurrency - transactionFeeInSettlementCurrency - fxFee,
+        currency: settlementCurrency,
+        description: `Liability to pay the merchant ${merchantId}`,
+        metadata: { ...clientMetadata(payload.metadata), capture_leg: 'merchant_payable', merchantId, fx: captureFx },
+      });
+      totalCredits += totalAmountInSettlementCurrency - transactionFeeInSettlementCurrency - fxFee;
+
+      // Credit Transaction Fee Revenue
+      ledgerEntries.push({
+        account_id: (await findOrCreateAccount({
+          ...getLedgerConfig().accounts.revenue.transaction_fees,
+          currency: settlementCurrency
+        }, session)).account_id,
+        entry_type: 'Credit',
+        amount: transactionFeeInSettlementCurrency,
+        currency: settlementCurrency,
+        description: 'Transaction fee revenue',
+        metadata: { ...clientMetadata(payload.metadata), capture_leg: 'transaction_fee', fx: captureFx },
+      });
+      totalCredits += transactionFeeInSettlementCurrency;
+
+      // Add FX fee entry if applicable
+      if (fxFee > 0) {
+        ledgerEntries.push({
+          account_id: (await findOrCreateAccount({
+            ...getLedgerConfig().accounts.revenue.fx_fees,
+            currency: settlementCurrency
+          }, session)).account_id,
+          entry_type: 'Credit',
+          amount: fxFee,
+          currency: settlementCurrency,
+          description: 'FX fee revenue',
+          metadata: { ...clientMetadata(payload.metadata), capture_leg: 'fx_fee', fx: captureFx },
+        });
+        totalCredits += fxFee;
+      }
+
+      console.log('Ledger entries:', JSON.stringify(ledgerEntries, null, 2));
+      console.log(`Total Debits: ${totalDebits}, Total Credits: ${totalCredits} (minor units)`);
+
+      // Ensure balance
+      if (totalDebits !== totalCredits) {
+        throw new Error(`Ledger entries are not balanced. Debits: ${totalDebits}, Credits: ${totalCredits}`);
+      }
+
+      break;
+
+    case 'PaymentRefunded':
+    case 'PaymentPartiallyRefunded':
+      ledgerEntries.push(...await buildRefundEntries(eventType, payload, session));
+      break;
+
+    case 'PayoutInitiated': {
+      // Ensure required fields are present
+      if (!payload.amount || !payload.currency || !payload.merchantId) {
+        throw missingFieldsError('PayoutInitiated');
+      }
+
+      const payoutId = payload.payoutId || uuidv4();
+      const payoutAmount = toPositiveMinorUnits(payload.amount, payload.currency);
+
+      if (await Payout.exists({ payout_id: payoutId }).session(session)) {
+        throw new LedgerError(`Payout ${payoutId} already exists`, { status: 409, code: 'PAYOUT_EXISTS' });
+      }
+
+      const merchantPayableAccountPayout = await findOrCreateAccount({
+        account_name: `Merchant Payable - ${payload.merchantId}`,
+        currency: payload.currency,
+        account_type: 'Liability',
+        nature: 'Credit',
+      }, session);
+
+      const inTransitAccountInitiated = await findOrCreateAccount({
+        account_name: `Payouts in Transit - ${payload.currency}`,
+        currency: payload.currency,
+        account_type: 'Liability',
+        nature: 'Credit',
+      }, session);
+
+      await new Payout({
+        payout_id: payoutId,
+        merchant_id: payload.merchantId,
+        amount: payoutAmount,
+        currency: payload.currency,
+        status: 'Initiated',
+        transaction_id: transactionId,
+        entry_group_ids: [entryGroupId],
+        metadata: payload.metadata,
+      }).save({ session });
+
+      ledgerEntries.push(
+        // Debit Merchant Payable (Liability decrease)
+        {
+          account_id: merchantPayableAccountPayout.account_id,
+          entry_type: 'Debit',
+          amount: payoutAmount,
+          currency: payload.currency,
+          description: `Payout ${payoutId} initiated for merchant ${payload.merchantId}`,
+          metadata: { ...payload.metadata, payout_id: payoutId }
+        },
+        // Credit Payouts in Transit (clearing liability increase)
+        {
+          account_id: inTransitAccountInitiated.account_id,
+          entry_type: 'Credit',
+          amount: payoutAmount,
+          currency: payload.currency,
+          description: `Payout ${payoutId} in transit`,
+          metadata: { ...payload.metadata, payout_id: payoutId }
+        }
+      );
+
+      break;
+    }
+
+    case 'PayoutCompleted': {
+      if (!payload.payoutId) {
+        throw missingFieldsError('PayoutCompleted');
+      }
+
+      // The status guard makes a payout settle at most once
+      const completedPayout = await Payout.findOneAndUpdate(
+        { payout_id: payload.payoutId, status: 'Initiated' },
+        { $set: { status: 'Completed', completed_at: Date.now() }, $push: { entry_group_ids: entryGroupId } },
+        { new: true, session }
+      );
+      if (!completedPayout) {
+        throw new LedgerError(`Payout ${payload.payoutId} is not awaiting settlement`, {
+          status: 409,
+          code: 'PAYOUT_NOT_INITIATED',
+        });
+      }
+
+      const inTransitAccountCompleted = await findOrCreateAccount({
+        account_name: `Payouts in Transit - ${completedPayout.currency}`,
+        currency: completedPayout.currency,
+        account_type: 'Liability',
+        nature: 'Credit',
+      }, session);
+
+      const cashAccountPayout = await findOrCreateAccount({
+        account_name: `Cash - ${completedPayout.currency}`,
+        currency: completedPayout.currency,
+        account_type: 'Asset',
+        nature: 'Debit',
+      }, session);
+
+      ledgerEntries.push(
+        // Debit Payouts in Transit (clearing liability decrease)
+        {
+          account_id: inTransitAccountCompleted.account_id,
+          entry_type: 'Debit',
+          amount: completedPayout.amount,
+          currency: completedPayout.currency,
+          description: `Payout ${completedPayout.payout_id} settled`,
+          metadata: { ...payload.metadata, payout_id: completedPayout.payout_id }
+        },
+        // Credit Cash (Asset decrease)
+        {
+          account_id: cashAccountPayout.account_id,
+          entry_type: 'Credit',
+          amount: completedPayout.amount,
+          currency: completedPayout.currency,
+          description: `Cash paid out to merchant ${completedPayout.merchant_id}`,
+          metadata: { ...payload.metadata, payout_id: completedPayout.payout_id }
+        }
+      );
+
+      break;
+    }
+
+    case 'PayoutFailed': {
+      if (!payload.payoutId) {
+        throw missingFieldsError('PayoutFailed');
+      }
+
+      const failedPayout = await Payout.findOneAndUpdate(
+        { payout_id: payload.payoutId, status: 'Initiated' },
+        {
+          $set: { status: 'Failed', failed_at: Date.now(), failure_reason: payload.reason },
+          $push: { entry_group_ids: entryGroupId },
+        },
+        { new: true, session }
+      );
+      if (!failedPayout) {
+        throw new LedgerError(`Payout ${payload.payoutId} is not awaiting settlement`, {
+          status: 409,
+          code: 'PAYOUT_NOT_INITIATED',
+        });
+      }
+
+      const inTransitAccountFailed = await findOrCreateAccount({
+        account_name: `Payouts in Transit - ${failedPayout.currency}`,
+        currency: failedPayout.currency,
+        account_type: 'Liability',
+        nature: 'Credit',
+      }, session);
+
+      const merchantPayableAccountFailed = await findOrCreateAccount({
+        account_name: `Merchant Payable - ${failedPayout.merchant_id}`,
+        currency: failedPayout.currency,
+        account_type: 'Liability',
+        nature: 'Credit',
+      }, session);
+
+      // Return the funds to the merchant payable
+      ledgerEntries.push(
+        {
+          account_id: inTransitAccountFailed.account_id,
+          entry_type: 'Debit',
+          amount: failedPayout.amount,
+          currency: failedPayout.currency,
+          description: `Payout ${failedPayout.payout_id} failed${payload.reason ? `: ${payload.reason}` : ''}`,
+          metadata: { ...payload.metadata, payout_id: failedPayout.payout_id }
+        },
+        {
+          account_id: merchantPayableAccountFailed.account_id,
+          entry_type: 'Credit',
+          amount: failedPayout.amount,
+          currency: failedPayout.currency,
+          description: `Failed payout ${failedPayout.payout_id} returned to merchant ${failedPayout.merchant_id}`,
+          metadata: { ...payload.metadata, payout_id: failedPayout.payout_id }
+        }
+      );
+
+      break;
+    }
+
+    case 'DisputeOpened': {
+      if (!payload.transaction_id) {
+        throw missingFieldsError('DisputeOpened');
+      }
+
+      const disputedCapture = await findCapture(payload.transaction_id, session);
+      if (!disputedCapture) {
+        throw new LedgerError(`No capture found for transaction ${payload.transaction_id}`, {
+          status: 404,
+          code: 'CAPTURE_NOT_FOUND',
+        });
+      }
+
+      // Disputes default to the full captured amount in settlement currency
+      const disputeAmount = payload.amount !== undefined
+        ? toMinorUnits(payload.amount, disputedCapture.currency)
+        : disputedCapture.amount;
+      const openDisputeError = new LedgerError(`Transaction ${payload.transaction_id} already has an open dispute`, {
+        status: 409,
+        code: 'DISPUTE_ALREADY_OPEN',
+      });
+      if (await Dispute.exists({ transaction_id: payload.transaction_id, status: 'Open' }).session(session)) {
+        throw openDisputeError;
+      }
+
+      // Refunded and charged back funds cannot be disputed again
+      const { refunded, disputed } = await findCaptureClaims(disputedCapture, session);
+      if (disputeAmount <= 0 || disputeAmount > disputedCapture.amount - refunded - disputed) {
+        throw new LedgerError('Dispute amount exceeds the captured amount less refunds and earlier disputes', {
+          status: 422,
+          code: 'DISPUTE_AMOUNT_EXCEEDED',
+          details: { disputable_amount: fromMinorUnits(disputedCapture.amount - refunded - disputed, disputedCapture.currency) },
+        });
+      }
+
+      const disputeId = payload.disputeId || uuidv4();
+      try {
+        await new Dispute({
+          dispute_id: disputeId,
+          transaction_id: payload.transaction_id,
+          merchant_id: disputedCapture.merchantId,
+          amount: disputeAmount,
+          currency: disputedCapture.currency,
+          status: 'Open',
+          reason: payload.reason,
+          entry_group_ids: [entryGroupId],
+          metadata: payload.metadata,
+        }).save({ session });
+      } catch (err) {
+        // A concurrent DisputeOpened for the transaction committed first
+        if (err.code === 11000 && err.keyPattern?.transaction_id) {
+          throw openDisputeError;
+        }
+        throw err;
+      }
+
+      const merchantPayableAccountDispute = await findOrCreateAccount({
+        account_name: `Merchant Payable - ${disputedCapture.merchantId}`,
+        currency: disputedCapture.currency,
+        account_type: 'Liability',
+        nature: 'Credit',
+      }, session);
+
+      const disputesReserveAccountOpened = await findOrCreateAccount({
+        account_name: `Disputes Reserve - ${disputedCapture.currency}`,
+        currency: disputedCapture.currency,
+        account_type: 'Liability',
+        nature: 'Credit',
+      }, session);
+
+      // Hold the disputed funds from the merchant
+      ledgerEntries.push(
+        {
+          account_id: merchantPayableAccountDispute.account_id,
+          entry_type: 'Debit',
+          amount: disputeAmount,
+          currency: disputedCapture.currency,
+          description: `Funds held for dispute ${disputeId} from merchant ${disputedCapture.merchantId}`,
+          metadata: { ...payload.metadata, dispute_id: disputeId }
+        },
+        {
+          account_id: disputesReserveAccountOpened.account_id,
+          entry_type: 'Credit',
+          amount: disputeAmount,
+          currency: disputedCapture.currency,
+          description: `Dispute ${disputeId} reserve`,
+          metadata: { ...payload.metadata, dispute_id: disputeId }
+        }
+      );
+
+      break;
+    }
+
+    case 'DisputeWon':
+    case 'DisputeLost': {
+      if (!payload.disputeId) {
+        throw missingFieldsError(eventType);
+      }
+
+      const isLost = eventType === 'DisputeLost';
+      const existingDispute = await Dispute.findOne({ dispute_id: payload.disputeId }).session(session);
+      if (!existingDispute) {
+        throw new LedgerError(`Dispute ${payload.disputeId} not found`, { status: 404, code: 'DISPUTE_NOT_FOUND' });
+      }
+
+      const chargebackFeeMajor = isLost ? getLedgerConfig().dispute_fees?.chargeback?.[existingDispute.currency] || 0 : 0;
+      const chargebackFee = toMinorUnits(chargebackFeeMajor, existingDispute.currency);
+
+      // The status guard makes a dispute resolve at most once
+      const resolvedDispute = await Dispute.findOneAndUpdate(
+        { dispute_id: payload.disputeId, status: 'Open' },
+        {
+          $set: { status: isLost ? 'Lost' : 'Won', resolved_at: Date.now(), chargeback_fee: chargebackFee },
+          $push: { entry_group_ids: entryGroupId },
+        },
+        { new: true, session }
+      );
+      if (!resolvedDispute) {
+        throw new LedgerError(`Dispute ${payload.disputeId} is not open`, { status: 409, code: 'DISPUTE_NOT_OPEN' });
+      }
+      transactionId = resolvedDispute.transaction_id;
+
+      const disputesReserveAccountResolved = await findOrCreateAccount({
+        account_name: `Disputes Reserve - ${resolvedDispute.currency}`,
+        currency: resolvedDispute.currency,
+        account_type: 'Liability',
+        nature: 'Credit',
+      }, session);
+
+      const disputeMetadata = { ...payload.metadata, dispute_id: resolvedDispute.dispute_id };
+
+      if (!isLost) {
+        // Release the held funds back to the merchant
+        const merchantPayableAccountWon = await findOrCreateAccount({
+          account_name: `Merchant Payable - ${resolvedDispute.merchant_id}`,
+          currency: resolvedDispute.currency,
+          account_type: 'Liability',
+          nature: 'Credit',
+        }, session);
+
+        ledgerEntries.push(
+          {
+            account_id: disputesReserveAccountResolved.account_id,
+            entry_type: 'Debit',
+            amount: resolvedDispute.amount,
+            currency: resolvedDispute.currency,
+            description: `Dispute ${resolvedDispute.dispute_id} won, reserve released`,
+            metadata: disputeMetadata
+          },
+          {
+            account_id: merchantPayableAccountWon.account_id,
+            entry_type: 'Credit',
+            amount: resolvedDispute.amount,
+            currency: resolvedDispute.currency,
+            description: `Funds released to merchant ${resolvedDispute.merchant_id} for dispute ${resolvedDispute.dispute_id}`,
+            metadata: disputeMetadata
+          }
+        );
+        break;
+      }
+
+      // Dispute lost: the held funds leave with the chargeback
+      const cashAccountChargeback = await findOrCreateAccount({
+        account_name: `Cash - ${resolvedDispute.currency}`,
+        currency: resolvedDispute.currency,
+        account_type: 'Asset',
+        nature: 'Debit',
+      }, session);
+
+      ledgerEntries.push(
+        {
+          account_id: disputesReserveAccountResolved.account_id,
+          entry_type: 'Debit',
+          amount: resolvedDispute.amount,
+          currency: resolvedDispute.currency,
+          description: `Dispute ${resolvedDispute.dispute_id} lost, reserve settled`,
+          metadata: disputeMetadata
+        },
+        {
+          account_id: cashAccountChargeback.account_id,
+          entry_type: 'Credit',
+          amount: resolvedDispute.amount,
+          currency: resolvedDispute.currency,
+          description: `Chargeback paid for transaction ${resolvedDispute.transaction_id}`,
+          metadata: disputeMetadata
+        }
+      );
+
+      // Charge the merchant the configured chargeback fee
+      if (chargebackFee > 0) {
+        const merchantPayableAccountLost = await findOrCreateAccount({
+          account_name: `Merchant Payable - ${resolvedDispute.merchant_id}`,
+          currency: resolvedDispute.currency,
+          account_type: 'Liability',
+          nature: 'Credit',
+        }, session);
+
+        ledgerEntries.push(
+          {
+            account_id: merchantPayableAccountLost.account_id,
+            entry_type: 'Debit',
+            amount: chargebackFee,
+            currency: resolvedDispute.currency,
+            description: `Chargeback fee for dispute ${resolvedDispute.dispute_id}`,
+            metadata: disputeMetadata
+          },
+          {
+            account_id: (await findOrCreateAccount({
+              ...getLedgerConfig().accounts.revenue.chargeback_fees,
+              currency: resolvedDispute.currency
+            }, session)).account_id,
+            entry_type: 'Credit',
+            amount: chargebackFee,
+            currency: resolvedDispute.currency,
+            description: 'Chargeback fee revenue',
+            metadata: disputeMetadata
+          }
+        );
+      }
+
+      break;
+    }
+
+    // Add cases for other event types (PaymentRefunded, etc.) with similar logic
+
+    default:
+      throw new LedgerError(`Unsupported event type: ${eventType}`, { code: 'UNSUPPORTED_EVENT_TYPE' });
+  }
+
+  // Save entries and update account balances as one unit
+  return postEntryGroup(ledgerEntries, { entryGroupId, transactionId, eventId, eventType }, session);
+}
+
+// ==========================
+// Posting Rules
+// ==========================
+// Posting rules describe an event type's entry group as data: conditions on
+// the payload, named variables and debit/credit legs whose amounts are
+// arithmetic expressions. Amount expressions evaluate in major units of the
+// leg's currency and are rounded to minor units with the 'fees' rounding rule.
+//
+// Example leg: { entry_type: 'Credit', currency: '{payload.currency}',
+//   amount: 'payload.amount * config.transaction_fee_percentage',
+//   account: { config_ref: 'revenue.transaction_fees' } }
+
+const postingRuleSchema = new mongoose.Schema({
+  rule_id: { type: String, required: true },
+  version: { type: Number, required: true },
+  name: { type: String, required: true },
+  event_type: { type: String, required: true },
+  status: { type: String, required: true, enum: ['Active', 'Superseded', 'Inactive'], default: 'Active' },
+  priority: { type: Number, default: 0 },
+  conditions: [{ _id: false, field: String, operator: String, value: mongoose.Schema.Types.Mixed }],
+  variables: [{ _id: false, name: String, expression: String }],
+  legs: [{
+    _id: false,
+    entry_type: { type: String, enum: ['Debit', 'Credit'] },
+    amount: String,
+    currency: String,
+    description: String,
+    account: { type: mongoose.Schema.Types.Mixed },
+    // Role of the leg in a PaymentCaptured group, which refunds and disputes rely on
+    capture_leg: { type: String, enum: CAPTURE_LEGS },
+    conditions: [{ _id: false, field: String, operator: String, value: mongoose.Schema.Types.Mixed }],
+  }],
+  created_at: { type: Date, default: Date.now },
+});
+
+postingRuleSchema.index({ ledger_id: 1, rule_id: 1, version: 1 }, { unique: true });
+postingRuleSchema.index({ event_type: 1, status: 1, priority: 1 });
+
+postingRuleSchema.plugin(tenantScopePlugin);
+const PostingRule = mongoose.model('PostingRule', postingRuleSchema);
+
+const CONDITION_OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  gt: (actual, expected) => actual > expected,
+  gte: (actual, expected) => actual >= expected,
+  lt: (actual, expected) => actual < expected,
+  lte: (actual, expected) => actual <= expected,
+  in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+  nin: (actual, expected) => Array.isArray(expected) && !expected.includes(actual),
+  exists: (actual, expected) => (actual !== undefined && actual !== null) === (expected !== false),
+};
+
+const EXPRESSION_FUNCTIONS = {
+  round: (value, places = 0) => roundMinorUnits(value * 10 ** places, 'half_up') / 10 ** places,
+  min: (...values) => Math.min(...values),
+  max: (...values) => Math.max(...values),
+  abs: (value) => Math.abs(value),
+  coalesce: (...values) => values.find((value) => value !== undefined && value !== null),
+  rate: (fromCurrency, toCurrency) => getExchangeRate(fromCurrency, toCurrency),
+  fx_fee_rate: (fromCurrency, toCurrency) =>
+    fromCurrency === toCurrency ? 0 : getLedgerConfig().fx_fees[fromCurrency]?.[toCurrency] || 0,
+  fixed_fee: (currency) => getLedgerConfig().transaction_fee_fixed?.[currency] || 0,
+};
+
+// Names that cannot be used for rule variables
+const RESERVED_SCOPE_NAMES = ['payload', 'config'];
+
+// Own properties only, so paths cannot reach prototype members like constructor
+function resolvePath(source, path) {
+  return path.split('.').reduce(
+    (value, key) => (value == null || !Object.hasOwn(Object(value), key) ? undefined : value[key]),
+    source
+  );
+}
+
+// A posting rule could not produce entries from an event's payload
+function postingRuleError(message) {
+  return new LedgerError(message, { status: 422, code: 'POSTING_RULE_FAILED' });
+}
+
+function evaluateConditions(conditions, scope) {
+  return (conditions || []).every(({ field, operator, value }) =>
+    CONDITION_OPERATORS[operator](resolvePath(scope, field), value)
+  );
+}
+
+function tokenizeExpression(source) {
+  const pattern = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][\w.]*)|'([^']*)'|"([^"]*)"|(\S))/y;
+  const tokens = [];
+  let match;
+
+  while (pattern.lastIndex < source.length && (match = pattern.exec(source))) {
+    const [, number, identifier, singleQuoted, doubleQuoted, symbol] = match;
+    if (number !== undefined) tokens.push({ type: 'number', value: Number(number) });
+    else if (identifier !== undefined) tokens.push({ type: 'identifier', value: identifier });
+    else if (singleQuoted !== undefined) tokens.push({ type: 'string', value: singleQuoted });
+    else if (doubleQuoted !== undefined) tokens.push({ type: 'string', value: doubleQuoted });
+    else if (symbol !== undefined) tokens.push({ type: 'symbol', value: symbol });
+  }
+
+  return tokens;
+}
+
+// Parse an amount expression into a syntax tree. Supports numbers, quoted
+// strings, dotted identifiers, + - * /, parentheses and EXPRESSION_FUNCTIONS.
+function parseExpression(source) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new Error('Expression must be a non-empty string');
+  }
+
+  const tokens = tokenizeExpression(source);
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (value) => {
+    const token = next();
+    if (!token || token.value !== value) {
+      throw new Error(`Expected '${value}' in expression: ${source}`);
+    }
+  };
+
+  function parsePrimary() {
+    const token = next();
+    if (!token) {
+      throw new Error(`Unexpected end of expression: ${source}`);
+    }
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'identifier') {
+      if (peek()?.value !== '(') {
+        return { type: 'identifier', path: token.value };
+      }
+
+      next();
+      if (!Object.hasOwn(EXPRESSION_FUNCTIONS, token.value)) {
+        throw new Error(`Unknown function '${token.value}' in expression: ${source}`);
+      }
+      const args = [];
+      if (peek()?.value !== ')') {
+        args.push(parseAdditive());
+        while (peek()?.value === ',') {
+          next();
+          args.push(parseAdditive());
+        }
+      }
+      expect(')');
+      return { type: 'call', name: token.value, args };
+    }
+
+    if (token.value === '(') {
+      const inner = parseAdditive();
+      expect(')');
+      return inner;
+    }
+
+    if (token.value === '-') {
+      return { type: 'negate', operand: parsePrimary() };
+    }
+
+    throw new Error(`Unexpected '${token.value}' in expression: ${source}`);
+  }
+
+  function parseMultiplicative() {
+    let left = parsePrimary();
+    while (peek()?.value === '*' || peek()?.value === '/') {
+      const operator = next().value;
+      left = { type: 'binary', operator, left, right: parsePrimary() };
+    }
+    return left;
+  }
+
+  function parseAdditive() {
+    let left = parseMultiplicative();
+    while (peek()?.value === '+' || peek()?.value === '-') {
+      const operator = next().value;
+      left = { type: 'binary', operator, left, right: parseMultiplicative() };
+    }
+    return left;
+  }
+
+  const tree = parseAdditive();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected '${peek().value}' in expression: ${source}`);
+  }
+  return tree;
+}
+
+function toExpressionNumber(value) {
+  const number = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(number)) {
+    throw postingRuleError(`Expected a number in posting rule expression, got ${JSON.stringify(value)}`);
+  }
+  return number;
+}
+
+function evaluateExpression(node, scope) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'identifier':
+      return resolvePath(scope, node.path);
+    case 'negate':
+      return -toExpressionNumber(evaluateExpression(node.operand, scope));
+    case 'call':
+      if (!Object.hasOwn(EXPRESSION_FUNCTIONS, node.name)) {
+        throw new Error(`Unknown function '${node.name}' in posting rule expression`);
+      }
+      return EXPRESSION_FUNCTIONS[node.name](...node.args.map((arg) => evaluateExpression(arg, scope)));
+    case 'binary': {
+      const left = toExpressionNumber(evaluateExpression(node.left, scope));
+      const right = toExpressionNumber(evaluateExpression(node.right, scope));
+      if (node.operator === '+') return left + right;
+      if (node.operator === '-') return left - right;
+      if (node.operator === '*') return left * right;
+      if (right === 0) {
+        throw postingRuleError('Division by zero in posting rule expression');
+      }
+      return left / right;
+    }
+    default:
+      throw new Error(`Unknown expression node: ${node.type}`);
+  }
+}
+
+// Replace `{path}` placeholders with values from the rule scope
+function renderTemplate(template, scope) {
+  return String(template || '').replace(/\{([^}]+)\}/g, (placeholder, path) => {
+    const value = resolvePath(scope, path.trim());
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+// Validate a posting rule definition. Returns a list of error messages.
+function validatePostingRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    return ['Posting rule must be an object'];
+  }
+
+  const errors = [];
+  const checkExpression = (expression, label) => {
+    try {
+      parseExpression(expression);
+    } catch (err) {
+      errors.push(`${label}: ${err.message}`);
+    }
+  };
+  const checkConditions = (conditions, label) => {
+    if (conditions === undefined) return;
+    if (!Array.isArray(conditions)) {
+      errors.push(`${label} must be an array`);
+      return;
+    }
+    conditions.forEach((condition, index) => {
+      if (!condition || typeof condition.field !== 'string') {
+        errors.push(`${label}[${index}].field is required`);
+      }
+      if (!condition || !Object.hasOwn(CONDITION_OPERATORS, condition.operator)) {
+        errors.push(`${label}[${index}].operator must be one of ${Object.keys(CONDITION_OPERATORS).join(', ')}`);
+      }
+    });
+  };
+
+  if (!rule.name || typeof rule.name !== 'string') errors.push('name is required');
+  if (!rule.event_type || typeof rule.event_type !== 'string') errors.push('event_type is required');
+  if (rule.priority !== undefined && !Number.isFinite(rule.priority)) errors.push('priority must be a number');
+  checkConditions(rule.conditions, 'conditions');
+
+  if (rule.variables !== undefined) {
+    if (!Array.isArray(rule.variables)) {
+      errors.push('variables must be an array');
+    } else {
+      rule.variables.forEach((variable, index) => {
+        if (!variable || !/^[A-Za-z_]\w*$/.test(variable.name) || RESERVED_SCOPE_NAMES.includes(variable.name)) {
+          errors.push(`variables[${index}].name must be an identifier other than ${RESERVED_SCOPE_NAMES.join(', ')}`);
+        }
+        checkExpression(variable && variable.expression, `variables[${index}].expression`);
+      });
+    }
+  }
+
+  if (!Array.isArray(rule.legs) || rule.legs.length < 2) {
+    errors.push('At least two legs are required');
+    return errors;
+  }
+
+  rule.legs.forEach((leg, index) => {
+    const label = `legs[${index}]`;
+    if (!leg || !['Debit', 'Credit'].includes(leg.entry_type)) {
+      errors.push(`${label}.entry_type must be Debit or Credit`);
+      return;
+    }
+    checkExpression(leg.amount, `${label}.amount`);
+    checkConditions(leg.conditions, `${label}.conditions`);
+    if (leg.capture_leg !== undefined && !CAPTURE_LEGS.includes(leg.capture_leg)) {
+      errors.push(`${label}.capture_leg must be one of ${CAPTURE_LEGS.join(', ')}`);
+    }
+    if (!leg.currency || typeof leg.currency !== 'string') {
+      errors.push(`${label}.currency is required`);
+    }
+
+    const account = leg.account || {};
+    const configAccount = account.config_ref ? resolvePath(getLedgerConfig().accounts, account.config_ref) : {};
+    if (!configAccount) {
+      errors.push(`${label}.account.config_ref '${account.config_ref}' does not exist in the ledger configuration`);
+      return;
+    }
+    const accountSpec = { ...configAccount, ...account };
+    if (!accountSpec.account_name) errors.push(`${label}.account.account_name is required`);
+    if (!['Asset', 'Liability', 'Equity', 'Revenue', 'Expense'].includes(accountSpec.account_type)) {
+      errors.push(`${label}.account.account_type is invalid`);
+    }
+    if (!['Debit', 'Credit'].includes(accountSpec.nature)) {
+      errors.push(`${label}.account.nature must be Debit or Credit`);
+    }
+  });
+
+  const entryTypes = rule.legs.map((leg) => leg && leg.entry_type);
+  if (!entryTypes.includes('Debit') || !entryTypes.includes('Credit')) {
+    errors.push('A posting rule needs at least one Debit and one Credit leg');
+  }
+
+  return errors;
+}
+
+// Find the highest-priority active rule for the event whose conditions match
+async function findPostingRule(eventType, payload, session) {
+  const rules = await PostingRule.find({ event_type: eventType, status: 'Active' })
+    .sort({ priority: 1, created_at: 1 })
+    .session(session);
+
+  const scope = { payload, config: getLedgerConfig() };
+  return rules.find((rule) => evaluateConditions(rule.conditions, scope)) || null;
+}
+
+// Evaluate a posting rule against a payload and return its ledger entries
+async function applyPostingRule(rule, payload, session) {
+  const context = ledgerContext.getStore();
+  const firstQuote = context ? context.fxQuotes.length : 0;
+  const scope = { payload, config: getLedgerConfig() };
+  for (const { name, expression } of rule.variables) {
+    scope[name] = evaluateExpression(parseExpression(expression), scope);
+  }
+
+  const ledgerEntries = [];
+  const netByCurrency = {};
+
+  for (const leg of rule.legs) {
+    if (!evaluateConditions(leg.conditions, scope)) {
+      continue;
+    }
+
+    const currency = renderTemplate(leg.currency, scope);
+    if (!currency) {
+      throw postingRuleError(`Posting rule ${rule.name} resolved an empty currency`);
+    }
+
+    const majorAmount = toExpressionNumber(evaluateExpression(parseExpression(leg.amount), scope));
+    const amount = roundMinorUnits(majorAmount * 10 ** getCurrencyExponent(currency), getRoundingMode('fees'));
+    if (amount < 0) {
+      throw postingRuleError(`Posting rule ${rule.name} produced a negative amount for a ${leg.entry_type} leg`);
+    }
+    // Zero legs (e.g. an FX fee on a same-currency payment) are skipped
+    if (amount === 0) {
+      continue;
+    }
+
+    const { config_ref: configRef, ...accountTemplate } = leg.account || {};
+    const accountCriteria = configRef ? { ...resolvePath(getLedgerConfig().accounts, configRef) } : {};
+    for (const [field, value] of Object.entries(accountTemplate)) {
+      accountCriteria[field] = typeof value === 'string' ? renderTemplate(value, scope) : value;
+    }
+
+    const account = await findOrCreateAccount({ ...accountCriteria, currency }, session);
+    ledgerEntries.push({
+      account_id: account.account_id,
+      entry_type: leg.entry_type,
+      amount,
+      currency,
+      description: renderTemplate(leg.description, scope),
+      metadata: { ...clientMetadata(payload.metadata), ...(leg.capture_leg && { capture_leg: leg.capture_leg }) },
+    });
+    netByCurrency[currency] = (netByCurrency[currency] || 0) + (leg.entry_type === 'Debit' ? amount : -amount);
+  }
+
+  if (ledgerEntries.length < 2) {
+    throw postingRuleError(`Posting rule ${rule.name} produced fewer than two entries`);
+  }
+
+  for (const [currency, net] of Object.entries(netByCurrency)) {
+    if (net !== 0) {
+      throw postingRuleError(`Ledger entries are not balanced for ${currency} under posting rule ${rule.name} (difference: ${net})`);
+    }
+  }
+
+  // Record the exchange rates the rule's expressions used
+  const fxQuotes = context ? context.fxQuotes.slice(firstQuote) : [];
+  if (fxQuotes.length > 0) {
+    ledgerEntries.forEach((entry) => {
+      entry.metadata.fx = fxQuotes;
+    });
+  }
+
+  return ledgerEntries;
+}
+
+// Event Schema
+const eventSchema = new mongoose.Schema({
+  event_id: { type: String, default: uuidv4, unique: true },
+  event_type: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  idempotency_key: { type: String },
+  request_hash: { type: String },
+  status: { type: String, enum: ['Pending', 'Processing', 'Completed', 'Failed'], default: 'Processing' },
+  // sync: processed within the request; async: queued for the event worker
+  mode: { type: String, enum: ['sync', 'async'], default: 'sync' },
+  // Queued events with the same key are processed one at a time, in order
+  ordering_key: { type: String },
+  attempts: { type: Number, default: 0 },
+  next_attempt_at: { type: Date },
+  error_history: [{
+    _id: false,
+    attempt: { type: Number },
+    message: { type: String },
+    at: { type: Date },
+  }],
+  config_version: { type: Number },
+  principal: { type: principalSchema, default: currentPrincipal },
+  request_id: { type: String },
+  response: {
+    status_code: { type: Number },
+    body: { type: mongoose.Schema.Types.Mixed },
+  },
+  error: { type: String },
+  processed_at: { type: Date },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now },
+});
+
+eventSchema.index({ mode: 1, status: 1, next_attempt_at: 1 });
+eventSchema.index({ ordering_key: 1, created_at: 1 });
+eventSchema.index({ ledger_id: 1, 'payload.transaction_id': 1, created_at: 1 });
+eventSchema.index(
+  { ledger_id: 1, idempotency_key: 1 },
+  { unique: true, partialFilterExpression: { idempotency_key: { $type: 'string' } } }
+);
+
+eventSchema.plugin(tenantScopePlugin);
+const Event = mongoose.model('Event', eventSchema);
+
+// ==========================
+// Ledger Integrity
+// ==========================
+
+// Integrity Report Schema: one document per integrity check run
+const integrityReportSchema = new mongoose.Schema({
+  report_id: { type: String, default: uuidv4, unique: true },
+  trigger: { type: String, required: true, enum: ['api', 'schedule'] },
+  status: { type: String, required: true, enum: ['Running', 'Passed', 'Failed', 'Error'] },
+  fix_applied: { type: Boolean, default: false },
+  accounts_checked: { type: Number, default: 0 },
+  entry_groups_checked: { type: Number, default: 0 },
+  balance_drifts: [{
+    _id: false,
+    account_id: String,
+    account_name: String,
+    currency: String,
+    stored_balance: Number,
+    computed_balance: Number,
+    difference: Number,
+  }],
+  unbalanced_groups: [{
+    _id: false,
+    entryGroupId: String,
+    currency: String,
+    total_debits: Number,
+    total_credits: Number,
+  }],
+  // Accounts sharing a name and currency, created before the unique index
+  // existed. The index cannot be built until they are renamed.
+  duplicate_accounts: [{
+    _id: false,
+    account_name: String,
+    currency: String,
+    account_ids: [String],
+  }],
+  error: { type: String },
+  started_at: { type: Date, default: Date.now },
+  completed_at: { type: Date },
+});
+
+integrityReportSchema.set('toJSON', {
+  transform(doc, ret) {
+    ret.balance_drifts = (ret.balance_drifts || []).map((drift) => ({
+      ...drift,
+      stored_balance: fromMinorUnits(drift.stored_balance, drift.currency),
+      computed_balance: fromMinorUnits(drift.computed_balance, drift.currency),
+      difference: fromMinorUnits(drift.difference, drift.currency),
+    }));
+    ret.unbalanced_groups = (ret.unbalanced_groups || []).map((group) => ({
+      ...group,
+      total_debits: fromMinorUnits(group.total_debits, group.currency),
+      total_credits: fromMinorUnits(group.total_credits, group.currency),
+    }));
+    return ret;
+  },
+});
+
+integrityReportSchema.plugin(tenantScopePlugin);
+const IntegrityReport = mongoose.model('IntegrityReport', integrityReportSchema);
+
+// Recompute every account balance from its ledger entry history and report
+// accounts whose stored balance has drifted. With `fix`, drifted balances are
+// overwritten with the computed value.
+async function recalculateBalances({ fix = true, session } = {}) {
+  const totals = await LedgerEntry.aggregate([
+    {
+      $group: {
+        _id: '$account_id',
+        debits: { $sum: { $cond: [{ $eq: ['$entry_type', 'Debit'] }, '$amount', 0] } },
+        credits: { $sum: { $cond: [{ $eq: ['$entry_type', 'Credit'] }, '$amount', 0] } },
+      },
+    },
+  ]).session(session);
+  const totalsByAccount = new Map(totals.map((total) => [total._id, total]));
+
+  const accounts = await Account.find({}).session(session);
+  const drifts = [];
+
+  for (const account of accounts) {
+    const { debits = 0, credits = 0 } = totalsByAccount.get(account.account_id) || {};
+    const computedBalance = account.nature === 'Debit' ? debits - credits : credits - debits;
+
+    if (computedBalance !== account.balance) {
+      drifts.push({
+        account_id: account.account_id,
+        account_name: account.account_name,
+        currency: account.currency,
+        stored_balance: account.balance,
+        computed_balance: computedBalance,
+        difference: computedBalance - account.balance,
+      });
+    }
+  }
+
+  if (fix && drifts.length > 0) {
+    await Account.bulkWrite(
+      drifts.map((drift) => ({
+        updateOne: {
+          filter: { account_id: drift.account_id, balance: drift.stored_balance },
+          update: { $set: { balance: drift.computed_balance, updated_at: Date.now() }, $inc: { __v: 1 } },
+        },
+      })),
+      { session }
+    );
+
+    for (const drift of drifts) {
+      await recordAudit({
+        action: 'account.balance_corrected',
+        entityType: 'account',
+        entityId: drift.account_id,
+        before: { balance: drift.stored_balance },
+        after: { balance: drift.computed_balance },
+      }, session);
+    }
+  }
+
+  return { accountsChecked: accounts.length, drifts };
+}
+
+// Find entry groups whose debits and credits do not net to zero per currency
+async function findUnbalancedEntryGroups(session) {
+  const [groupCount] = await LedgerEntry.aggregate([
+    { $group: { _id: '$entryGroupId' } },
+    { $count: 'total' },
+  ]).session(session);
+
+  const unbalancedGroups = await LedgerEntry.aggregate([
+    {
+      $group: {
+        _id: { entryGroupId: '$entryGroupId', currency: '$currency' },
+        total_debits: { $sum: { $cond: [{ $eq: ['$entry_type', 'Debit'] }, '$amount', 0] } },
+        total_credits: { $sum: { $cond: [{ $eq: ['$entry_type', 'Credit'] }, '$amount', 0] } },
+      },
+    },
+    { $match: { $expr: { $ne: ['$total_debits', '$total_credits'] } } },
+    {
+      $project: {
+        _id: 0,
+        entryGroupId: '$_id.entryGroupId',
+        currency: '$_id.currency',
+        total_debits: 1,
+        total_credits: 1,
+      },
+    },
+  ]).session(session);
+
+  return { groupsChecked: groupCount ? groupCount.total : 0, unbalancedGroups };
+}
+
+// Find accounts that share a name and currency
+async function findDuplicateAccounts(session) {
+  return Account.aggregate([
+    { $group: { _id: { account_name: '$account_name', currency: '$currency' }, account_ids: { $push: '$account_id' } } },
+    { $match: { 'account_ids.1': { $exists: true } } },
+    { $project: { _id: 0, account_name: '$_id.account_name', currency: '$_id.currency', account_ids: 1 } },
+  ]).session(session);
+}
+
+// Run a full integrity check and persist its report
+async function runIntegrityCheck({ trigger, fix = false }) {
+  const report = new IntegrityReport({ trigger, status: 'Running', fix_applied: fix });
+  await report.save();
+
+  try {
+    const check = async (session) => ({
+      balances: await recalculateBalances({ fix, session }),
+      groups: await findUnbalancedEntryGroups(session),
+      duplicateAccounts: await findDuplicateAccounts(session),
+    });
+    // Fixing balances writes to accounts, so it must not interleave with postings
+    const { balances, groups, duplicateAccounts } = fix ? await withTransaction(check) : await check();
+
+    report.accounts_checked = balances.accountsChecked;
+    report.balance_drifts = balances.drifts;
+    report.entry_groups_checked = groups.groupsChecked;
+    report.unbalanced_groups = groups.unbalancedGroups;
+    report.duplicate_accounts = duplicateAccounts;
+    report.status = balances.drifts.length === 0 && groups.unbalancedGroups.length === 0 && duplicateAccounts.length === 0
+      ? 'Passed'
+      : 'Failed';
+  } catch (error) {
+    report.status = 'Error';
+    report.error = error.message;
+  }
+
+  report.completed_at = Date.now();
+  await report.save();
+  return report;
+}
+
+let integrityCheckTask = null;
+
+// (Re)schedule the integrity check according to `ledgerConfig.integrity_check`
+function scheduleIntegrityCheck() {
+  if (integrityCheckTask) {
+    integrityCheckTask.stop();
+    integrityCheckTask = null;
+  }
+
+  const settings = ledgerConfig.integrity_check;
+  if (!settings || !settings.enabled) {
+    return;
+  }
+
+  if (!cron.validate(settings.schedule)) {
+    console.warn('Invalid integrity check schedule:', settings.schedule);
+    return;
+  }
+
+  integrityCheckTask = cron.schedule(settings.schedule, async () => {
+    try {
+      console.log('Starting scheduled integrity check...');
+      await forEachLedger(async ({ ledger_id: ledgerId }) => {
+        const ledgerSettings = getLedgerConfig().integrity_check;
+        if (!ledgerSettings?.enabled) {
+          return;
+        }
+        const report = await runIntegrityCheck({ trigger: 'schedule', fix: Boolean(ledgerSettings.fix_drift) });
+        console.log(`Scheduled integrity check ${report.report_id} for ledger ${ledgerId} finished with status ${report.status}`);
+      });
+    } catch (error) {
+      console.error('Error during scheduled integrity check:', error.message);
+    }
+  });
+}
+
+// ==========================
+// Ledger Configuration Versions
+// ==========================
+// Every configuration change is stored as a new version with an
+// `effective_from` timestamp. Events are processed with the version that was
+// effective at their timestamp; `ledgerConfigs` holds each ledger's version
+// effective now. Versions belong to a ledger like every other document.
+
+const configChangeSchema = new mongoose.Schema({
+  path: { type: String },
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed },
+}, { _id: false });
+
+const ledgerConfigVersionSchema = new mongoose.Schema({
+  version: { type: Number, required: true },
+  config: { type: mongoose.Schema.Types.Mixed, required: true },
+  effective_from: { type: Date, required: true },
+  created_by: { type: String, required: true },
+  reason: { type: String },
+  changes: [configChangeSchema],
+  created_at: { type: Date, default: Date.now },
+}, { minimize: false });
+
+ledgerConfigVersionSchema.index({ ledger_id: 1, version: 1 }, { unique: true });
+ledgerConfigVersionSchema.index({ ledger_id: 1, effective_from: -1, version: -1 });
+
+ledgerConfigVersionSchema.plugin(tenantScopePlugin);
+const LedgerConfigVersion = mongoose.model('LedgerConfigVersion', ledgerConfigVersionSchema);
+
+const currencyCodeSchema = { type: 'string', pattern: '^[A-Z]{3}$' };
+const roundingModeSchema = { enum: ['half_up', 'half_even'] };
+const feeTreatmentSchema = { enum: ['retained', 'returned'] };
+
+// Object keyed by currency code
+function currencyTableSchema(valueSchema) {
+  return { type: 'object', propertyNames: currencyCodeSchema, additionalProperties: valueSchema };
+}
+
+const accountDefinitionSchema = {
+  type: 'object',
+  required: ['account_name', 'account_type', 'nature'],
+  additionalProperties: false,
+  properties: {
+    account_name: { type: 'string', minLength: 1 },
+    account_type: { enum: ['Asset', 'Liability', 'Equity', 'Revenue', 'Expense'] },
+    nature: { enum: ['Debit', 'Credit'] },
+    currency: currencyCodeSchema,
+  },
+};
+
+const ledgerConfigJsonSchema = {
+  type: 'object',
+  required: [
+    'accounts',
+    'fx_fees',
+    'transaction_fee_percentage',
+    'transaction_fee_fixed',
+    'exchange_rates',
+    'payment_processing',
+  ],
+  additionalProperties: false,
+  properties: {
+    accounts: {
+      type: 'object',
+      required: ['revenue'],
+      properties: {
+        revenue: {
+          type: 'object',
+          required: ['transaction_fees', 'fx_fees', 'chargeback_fees'],
+          additionalProperties: accountDefinitionSchema,
+        },
+      },
+      additionalProperties: { type: 'object', additionalProperties: accountDefinitionSchema },
+    },
+    fx_fees: currencyTableSchema(currencyTableSchema({ type: 'number', minimum: 0, maximum: 1 })),
+    transaction_fee_percentage: { type: 'number', minimum: 0, maximum: 1 },
+    transaction_fee_fixed: currencyTableSchema({ type: 'number', minimum: 0 }),
+    exchange_rates: {
+      type: 'object',
+      required: ['base', 'rates'],
+      additionalProperties: false,
+      properties: {
+        base: currencyCodeSchema,
+        rates: currencyTableSchema({ type: 'number', exclusiveMinimum: 0 }),
+      },
+    },
+    payment_processing: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        expense_percentage: { type: 'number', minimum: 0, maximum: 1 },
+      },
+    },
+    currency_exponents: currencyTableSchema({ type: 'integer', minimum: 0, maximum: 4 }),
+    rounding: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { fees: roundingModeSchema, fx: roundingModeSchema },
+    },
+    integrity_check: {
+      type: 'object',
+      required: ['enabled'],
+      additionalProperties: false,
+      properties: {
+        enabled: { type: 'boolean' },
+        schedule: { type: 'string' },
+        fix_drift: { type: 'boolean' },
+      },
+    },
+    dispute_fees: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        chargeback: currencyTableSchema({ type: 'number', minimum: 0 }),
+      },
+    },
+    refund_policy: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { transaction_fee: feeTreatmentSchema, fx_fee: feeTreatmentSchema },
+    },
+    balance_snapshots: {
+      type: 'object',
+      required: ['enabled'],
+      additionalProperties: false,
+      properties: {
+        enabled: { type: 'boolean' },
+        schedule: { type: 'string' },
+      },
+    },
+    accounting_periods: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        closed_period_posting: { enum: ['reject', 'next_open_period'] },
+      },
+    },
+    balance_policies: {
+      type: 'object',
+      required: ['default'],
+      additionalProperties: false,
+      properties: {
+        // credit_limit needs an amount, so it can only be set per account
+        default: { enum: ['allow_negative', 'forbid_negative'] },
+        by_account_type: {
+          type: 'object',
+          propertyNames: { enum: ['Asset', 'Liability', 'Equity', 'Revenue', 'Expense'] },
+          additionalProperties: { enum: ['allow_negative', 'forbid_negative'] },
+        },
+      },
+    },
+    holds: {
+      type: 'object',
+      required: ['enabled'],
+      additionalProperties: false,
+      properties: {
+        enabled: { type: 'boolean' },
+        schedule: { type: 'string' },
+        authorization_ttl_hours: { type: 'number', exclusiveMinimum: 0 },
+      },
+    },
+    reconciliation: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        date_window_days: { type: 'integer', minimum: 0 },
+      },
+    },
+    event_processing: {
+      type: 'object',
+      required: ['mode'],
+      additionalProperties: false,
+      properties: {
+        mode: { enum: ['sync', 'async'] },
+        schedule: { type: 'string' },
+        max_attempts: { type: 'integer', minimum: 1 },
+        backoff_base_seconds: { type: 'integer', minimum: 1 },
+        backoff_max_seconds: { type: 'integer', minimum: 1 },
+        batch_size: { type: 'integer', minimum: 1 },
+        max_backdate_hours: { type: 'number', minimum: 0 },
+      },
+    },
+    webhooks: {
+      type: 'object',
+      required: ['enabled'],
+      additionalProperties: false,
+      properties: {
+        enabled: { type: 'boolean' },
+        schedule: { type: 'string' },
+        max_attempts: { type: 'integer', minimum: 1 },
+        backoff_base_seconds: { type: 'integer', minimum: 1 },
+        backoff_max_seconds: { type: 'integer', minimum: 1 },
+        timeout_ms: { type: 'integer', minimum: 100 },
+        batch_size: { type: 'integer', minimum: 1 },
+      },
+    },
+    chart_of_accounts: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        code_ranges: {
+          type: 'object',
+          propertyNames: { enum: ['Asset', 'Liability', 'Equity', 'Revenue', 'Expense'] },
+          additionalProperties: {
+            type: 'object',
+            required: ['from', 'to'],
+            additionalProperties: false,
+            properties: {
+              from: { type: 'integer', minimum: 0 },
+              to: { type: 'integer', minimum: 0 },
+            },
+          },
+        },
+      },
+    },
+    fx_rates: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        provider: { enum: ['config', 'http'] },
+        schedule: { type: 'string' },
+        http: {
+          type: 'object',
+          required: ['url'],
+          additionalProperties: false,
+          properties: {
+            url: { type: 'string', pattern: '^https?://' },
+            base: currencyCodeSchema,
+            timeout_ms: { type: 'integer', minimum: 1 },
+          },
+        },
+      },
+    },
+  },
+};
+
+const validateConfigSchema = new Ajv({ allErrors: true }).compile(ledgerConfigJsonSchema);
+
+// Validate a ledger configuration. Returns a list of error messages.
+function validateConfig(config) {
+  if (!validateConfigSchema(config)) {
+    return validateConfigSchema.errors.map((error) => `${error.instancePath || '/'} ${error.message}`);
+  }
+
+  const errors = [];
+  if (config.exchange_rates.rates[config.exchange_rates.base] !== 1) {
+    errors.push('/exchange_rates/rates must contain the base currency with a rate of 1');
+  }
+  if (config.integrity_check?.schedule && !cron.validate(config.integrity_check.schedule)) {
+    errors.push('/integrity_check/schedule is not a valid cron expression');
+  }
+  if (config.balance_snapshots?.schedule && !cron.validate(config.balance_snapshots.schedule)) {
+    errors.push('/balance_snapshots/schedule is not a valid cron expression');
+  }
+  if (config.fx_rates?.schedule && !cron.validate(config.fx_rates.schedule)) {
+    errors.push('/fx_rates/schedule is not a valid cron expression');
+  }
+  if (config.holds?.schedule && !cron.validate(config.holds.schedule)) {
+    errors.push('/holds/schedule is not a valid cron expression');
+  }
+  if (config.event_processing?.schedule && !cron.validate(config.event_processing.schedule)) {
+    errors.push('/event_processing/schedule is not a valid cron expression');
+  }
+  if (config.webhooks?.schedule && !cron.validate(config.webhooks.schedule)) {
+    errors.push('/webhooks/schedule is not a valid cron expression');
+  }
+  if (config.fx_rates?.provider === 'http' && !config.fx_rates.http) {
+    errors.push('/fx_rates/http is required when the provider is http');
+  }
+  for (const [accountType, range] of Object.entries(config.chart_of_accounts?.code_ranges || {})) {
+    if (range.from > range.to) {
+      errors.push(`/chart_of_accounts/code_ranges/${accountType} must have from <= to`);
+    }
+  }
+  return errors;
+}
+
+// List the leaf paths that differ between two configurations
+function diffConfig(before, after, prefix = '') {
+  const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+  if (!isObject(before) || !isObject(after)) {
+    return JSON.stringify(before) === JSON.stringify(after) ? [] : [{ path: prefix, before, after }];
+  }
+
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+  return keys.flatMap((key) => diffConfig(before[key], after[key], prefix ? `${prefix}.${key}` : key));
+}
+
+// Find the configuration version effective at the given time. Falls back to
+// the file/default configuration when no versions have been stored yet.
+async function resolveConfigAt(date) {
+  const configVersion = await LedgerConfigVersion.findOne({ effective_from: { $lte: date } })
+    .sort({ effective_from: -1, version: -1 });
+
+  if (!configVersion) {
+    return { version: null, config: ledgerConfig };
+  }
+  return { version: configVersion.version, config: configVersion.config };
+}
+
+// Load the version effective now for every ledger into `ledgerConfigs`
+async function refreshLedgerConfig() {
+  await forEachLedger(async ({ ledger_id: ledgerId }) => {
+    const { version, config } = await resolveConfigAt(new Date());
+    if (version === null || version === ledgerConfigs.get(ledgerId)?.version) {
+      return;
+    }
+
+    ledgerConfigs.set(ledgerId, { version, config });
+    console.log(`Loaded ledger ${ledgerId} configuration version ${version}`);
+
+    if (ledgerId === DEFAULT_LEDGER_ID) {
+      ledgerConfig = config;
+      scheduleIntegrityCheck();
+      scheduleRateRefresh();
+      scheduleBalanceSnapshots();
+      scheduleWebhookDispatch();
+      scheduleEventWorker();
+      scheduleHoldExpiry();
+    }
+  });
+}
+
+// Store `config` as version 1 of the current ledger unless it has versions
+async function seedConfigVersion(config = ledgerConfig) {
+  if (await LedgerConfigVersion.exists({})) {
+    return;
+  }
+
+  try {
+    await new LedgerConfigVersion({
+      version: 1,
+      config,
+      effective_from: new Date(0),
+      created_by: 'system',
+      reason: 'Initial configuration',
+    }).save();
+  } catch (err) {
+    // Another instance seeded it first
+    if (err.code !== 11000) throw err;
+  }
+}
+
+// Save a new configuration version. The diff is taken against the latest version.
+async function createConfigVersion({ config, effectiveFrom, createdBy, reason }) {
+  const latest = await LedgerConfigVersion.findOne().sort({ version: -1 });
+
+  const configVersion = new LedgerConfigVersion({
+    version: (latest ? latest.version : 0) + 1,
+    config,
+    effective_from: effectiveFrom,
+    created_by: createdBy,
+    reason,
+    changes: diffConfig(latest ? latest.config : getLedgerConfig(), config),
+  });
+  await configVersion.save();
+  await recordAudit({
+    action: 'config.version_created',
+    entityType: 'config_version',
+    entityId: String(configVersion.version),
+    before: latest ? latest.config : null,
+    after: { config, effective_from: effectiveFrom, reason },
+  });
+  await refreshLedgerConfig();
+
+  return configVersion;
+}
+
+// Create the default ledger, which owns all data from before multi-tenancy
+async function seedDefaultLedger() {
+  await Ledger.updateOne(
+    { ledger_id: DEFAULT_LEDGER_ID },
+    { $setOnInsert: { name: 'Default ledger', status: 'Active' } },
+    { upsert: true }
+  );
+  await backfillLedgerIds();
+  await runInLedger(DEFAULT_LEDGER_ID, () => seedConfigVersion());
+  await seedBootstrapApiKey();
+}
+
+// Seed the default ledger and load the configuration. Requests wait for
+// this; a failed start is retried by the next request. Data migrations are
+// not run here but once per deploy by migrate.js, see migrateLedgers.
+let ledgerStartup = null;
+function startLedger() {
+  ledgerStartup ??= (async () => {
+    await seedDefaultLedger();
+    await refreshLedgerConfig();
+  })().catch((err) => {
+    ledgerStartup = null;
+    throw err;
+  });
+  return ledgerStartup;
+}
+
+mongoose.connection.once('open', () => {
+  startLedger().catch((err) => {
+    console.error('Error starting the ledger:', err.message);
+  });
+});
+
+// Pick up versions that became effective, or were saved by another instance
+cron.schedule('* * * * *', () => {
+  refreshLedgerConfig().catch((err) => {
+    console.error('Error refreshing ledger configuration:', err.message);
+  });
+});
+
+// ==========================
+// Exchange Rates
+// ==========================
+// Rates are stored as immutable history: 1 base_currency = rate quote_currency
+// from effective_at onwards. Events convert at the rates effective at their
+// timestamp; pairs without stored history fall back to the configuration.
+
+const exchangeRateSchema = new mongoose.Schema({
+  rate_id: { type: String, default: uuidv4, unique: true },
+  base_currency: { type: String, required: true },
+  quote_currency: { type: String, required: true },
+  rate: { type: Number, required: true },
+  effective_at: { type: Date, required: true },
+  source: { type: String, required: true },
+  fetched_at: { type: Date, default: Date.now },
+});
+
+exchangeRateSchema.index({ ledger_id: 1, base_currency: 1, quote_currency: 1, effective_at: -1 }, { unique: true });
+
+exchangeRateSchema.plugin(tenantScopePlugin);
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+// Load the latest rate per currency pair effective at `asOf`, keyed "BASE:QUOTE".
+// One aggregation walks the pair index and keeps the first row of each pair.
+async function loadRateSnapshot(asOf) {
+  const latestRates = await ExchangeRate.aggregate([
+    { $match: { effective_at: { $lte: asOf } } },
+    { $sort: { base_currency: 1, quote_currency: 1, effective_at: -1 } },
+    {
+      $group: {
+        _id: { base: '$base_currency', quote: '$quote_currency' },
+        row: { $first: '$$ROOT' },
+      },
+    },
+  ]);
+
+  return new Map(latestRates.map(({ row }) => [
+    `${row.base_currency}:${row.quote_currency}`,
+    {
+      rate_id: row.rate_id,
+      rate: row.rate,
+      effective_at: row.effective_at,
+      source: row.source,
+      base_currency: row.base_currency,
+      quote_currency: row.quote_currency,
+    },
+  ]));
+}
+
+// Quote from a rate snapshot: direct pair, inverse pair, or cross rate via a
+// shared base currency
+function findStoredRate(rates, fromCurrency, toCurrency) {
+  const quoteOf = (rate, rows) => ({
+    rate,
+    rate_ids: rows.map((row) => row.rate_id),
+    source: rows[0].source,
+    effective_at: new Date(Math.min(...rows.map((row) => row.effective_at.getTime()))),
+  });
+
+  const direct = rates.get(`${fromCurrency}:${toCurrency}`);
+  if (direct) {
+    return quoteOf(direct.rate, [direct]);
+  }
+
+  const inverse = rates.get(`${toCurrency}:${fromCurrency}`);
+  if (inverse) {
+    return quoteOf(1 / inverse.rate, [inverse]);
+  }
+
+  for (const fromLeg of rates.values()) {
+    if (fromLeg.quote_currency !== fromCurrency) continue;
+    const toLeg = rates.get(`${fromLeg.base_currency}:${toCurrency}`);
+    if (toLeg) {
+      return quoteOf(toLeg.rate / fromLeg.rate, [fromLeg, toLeg]);
+    }
+  }
+
+  return null;
+}
+
+// Run `work` with the configuration and exchange rates effective at `date`
+async function runWithLedgerContextAt(date, work) {
+  const [{ config }, rates] = await Promise.all([resolveConfigAt(date), loadRateSnapshot(date)]);
+  return ledgerContext.run({ ...ledgerContext.getStore(), config, rates, fxQuotes: [] }, work);
+}
+
+// Quote a rate as it was at `date`, e.g. to reverse an entry at its original rate
+async function getExchangeRateQuoteAsOf(fromCurrency, toCurrency, date) {
+  return runWithLedgerContextAt(date, () => getExchangeRateQuote(fromCurrency, toCurrency));
+}
+
+function validateRateRow(row) {
+  const errors = [];
+  if (!/^[A-Z]{3}$/.test(row.base_currency)) errors.push('base_currency must be a currency code');
+  if (!/^[A-Z]{3}$/.test(row.quote_currency)) errors.push('quote_currency must be a currency code');
+  if (row.base_currency === row.quote_currency) errors.push('base_currency and quote_currency must differ');
+  if (!Number.isFinite(row.rate) || row.rate <= 0) errors.push('rate must be a positive number');
+  if (!(row.effective_at instanceof Date) || Number.isNaN(row.effective_at.getTime())) {
+    errors.push('effective_at must be a valid date');
+  }
+  return errors;
+}
+
+// Store rate rows. Existing rows for the same pair and effective_at are left
+// untouched, because entries may already reference their rate_id.
+async function storeRates(rows, source) {
+  const errors = rows.flatMap((row, index) => validateRateRow(row).map((error) => `row ${index + 1}: ${error}`));
+  if (errors.length > 0) {
+    throw new LedgerError(`Invalid exchange rates: ${errors.join('; ')}`, { code: 'INVALID_EXCHANGE_RATES' });
+  }
+  if (rows.length === 0) {
+    return { inserted: 0, skipped: 0 };
+  }
+
+  const result = await ExchangeRate.bulkWrite(rows.map((row) => ({
+    updateOne: {
+      filter: {
+        base_currency: row.base_currency,
+        quote_currency: row.quote_currency,
+        effective_at: row.effective_at,
+      },
+      update: {
+        $setOnInsert: {
+          rate_id: uuidv4(),
+          rate: row.rate,
+          source,
+          fetched_at: new Date(),
+        },
+      },
+      upsert: true,
+    },
+  })));
+
+  return { inserted: result.upsertedCount, skipped: rows.length - result.upsertedCount };
+}
+
+// Parse "base_currency,quote_currency,rate,effective_at" CSV with a header row
+function parseRatesCsv(text) {
+  const lines = String(text || '').split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  const [header, ...dataLines] = lines;
+  const columns = (header || '').split(',').map((column) => column.trim());
+  const required = ['base_currency', 'quote_currency', 'rate', 'effective_at'];
+
+  const missing = required.filter((column) => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new LedgerError(`Invalid exchange rates: CSV header is missing ${missing.join(', ')}`, {
+      code: 'INVALID_EXCHANGE_RATES',
+    });
+  }
+
+  return dataLines.map((line) => {
+    const values = line.split(',').map((value) => value.trim());
+    const field = (name) => values[columns.indexOf(name)];
+    return {
+      base_currency: field('base_currency'),
+      quote_currency: field('quote_currency'),
+      rate: Number(field('rate')),
+      effective_at: new Date(field('effective_at')),
+    };
+  });
+}
+
+// Rate providers fetch the current rates as rows for storeRates()
+const rateProviders = {
+  // The static table in the ledger configuration
+  config: {
+    async fetchRates() {
+      const { base, rates } = getLedgerConfig().exchange_rates;
+      const effectiveAt = new Date();
+      return Object.entries(rates)
+        .filter(([currency]) => currency !== base)
+        .map(([currency, rate]) => ({ base_currency: base, quote_currency: currency, rate, effective_at: effectiveAt }));
+    },
+  },
+
+  // An HTTP source returning { base, rates: { EUR: 0.92, ... }, timestamp | date }
+  http: {
+    async fetchRates() {
+      const settings = getLedgerConfig().fx_rates?.http;
+      if (!settings || !settings.url) {
+        throw new Error('fx_rates.http.url is not configured');
+      }
+
+      const response = await axios.get(settings.url, {
+        params: settings.base ? { base: settings.base } : undefined,
+        timeout: settings.timeout_ms || 10000,
+      });
+      const { base, rates, timestamp, date } = response.data || {};
+      if (!base || !rates || typeof rates !== 'object') {
+        throw new Error('Rate provider response must include base and rates');
+      }
+
+      let effectiveAt = new Date();
+      if (timestamp) effectiveAt = new Date(timestamp * 1000);
+      else if (date) effectiveAt = new Date(date);
+
+      return Object.entries(rates)
+        .filter(([currency]) => currency !== base)
+        .map(([currency, rate]) => ({
+          base_currency: base,
+          quote_currency: currency,
+          rate: Number(rate),
+          effective_at: effectiveAt,
+        }));
+    },
+  },
+};
+
+// Fetch rates from the configured provider and store them
+async function refreshRatesFromProvider() {
+  const providerName = getLedgerConfig().fx_rates?.provider || 'config';
+  const provider = rateProviders[providerName];
+  if (!provider) {
+    throw new Error(`Unknown exchange rate provider: ${providerName}`);
+  }
+
+  const rows = await provider.fetchRates();
+  return { provider: providerName, ...await storeRates(rows, providerName) };
+}
+
+let rateRefreshTask = null;
+
+// (Re)schedule provider refreshes according to `ledgerConfig.fx_rates.schedule`
+function scheduleRateRefresh() {
+  if (rateRefreshTask) {
+    rateRefreshTask.stop();
+    rateRefreshTask = null;
+  }
+
+  const schedule = ledgerConfig.fx_rates?.schedule;
+  if (!schedule) {
+    return;
+  }
+
+  if (!cron.validate(schedule)) {
+    console.warn('Invalid exchange rate refresh schedule:', schedule);
+    return;
+  }
+
+  rateRefreshTask = cron.schedule(schedule, async () => {
+    try {
+      await forEachLedger(async ({ ledger_id: ledgerId }) => {
+        // One ledger's provider failing must not stop the others
+        try {
+          const result = await refreshRatesFromProvider();
+          console.log(`Exchange rates refreshed for ledger ${ledgerId}:`, result);
+        } catch (error) {
+          console.error(`Error refreshing exchange rates for ledger ${ledgerId}:`, error.message);
+        }
+      });
+    } catch (error) {
+      console.error('Error refreshing exchange rates:', error.message);
+    }
+  });
+}
+
+scheduleRateRefresh();
+
+// ==========================
+// Financial Reports
+// ==========================
+// Reports are computed from LedgerEntry history rather than Account.balance,
+// so they can be produced as of any date. With a reporting currency, amounts
+// are converted at the rates effective at the report date. Totals are kept per
+// currency in minor units until the report is serialised.
+
+const BALANCE_SHEET_SECTIONS = { Asset: 'assets', Liability: 'liabilities', Equity: 'equity' };
+
+function parseDateParam(value, name, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new LedgerError(`Invalid ${name} date`, { code: 'INVALID_DATE' });
+  }
+  return date;
+}
+
+// Debit and credit totals per account for entries within [from, to]
+async function loadAccountActivity({ from, to, accountIds, session } = {}) {
+  const match = {};
+  if (from || to) {
+    match.timestamp = {};
+    if (from) match.timestamp.$gte = from;
+    if (to) match.timestamp.$lte = to;
+  }
+  if (accountIds) {
+    match.account_id = { $in: accountIds };
+  }
+
+  const activity = await LedgerEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$account_id',
+        debits: { $sum: { $cond: [{ $eq: ['$entry_type', 'Debit'] }, '$amount', 0] } },
+        credits: { $sum: { $cond: [{ $eq: ['$entry_type', 'Credit'] }, '$amount', 0] } },
+      },
+    },
+  ]).session(session || null);
+  return new Map(activity.map((row) => [row._id, row]));
+}
+
+// Balance in the account's nature: positive means a normal balance
+function netBalance(account, { debits = 0, credits = 0 } = {}) {
+  return account.nature === 'Debit' ? debits - credits : credits - debits;
+}
+
+function addToTotals(totals, currency, amount) {
+  totals[currency] = (totals[currency] || 0) + amount;
+  return totals;
+}
+
+function totalsToMajorUnits(totals) {
+  return Object.fromEntries(
+    Object.entries(totals).map(([currency, amount]) => [currency, fromMinorUnits(amount, currency)])
+  );
+}
+
+// A report line for an account; `report_amount` is in the reporting currency
+// when one is requested and in the account currency otherwise
+function buildReportLine(account, amount, reportingCurrency) {
+  const reportCurrency = reportingCurrency || account.currency;
+  return {
+    account_id: account.account_id,
+    account_name: account.account_name,
+    account_code: account.account_code,
+    account_type: account.account_type,
+    parent_account_id: account.parent_account_id,
+    currency: account.currency,
+    amount,
+    report_currency: reportCurrency,
+    report_amount: convertCurrency(amount, account.currency, reportCurrency),
+  };
+}
+
+function serializeReportLine(line) {
+  const serialized = {
+    account_id: line.account_id,
+    account_name: line.account_name,
+    account_code: line.account_code,
+    account_type: line.account_type,
+    parent_account_id: line.parent_account_id,
+    currency: line.currency,
+    balance: fromMinorUnits(line.amount, line.currency),
+  };
+  if (line.report_currency !== line.currency) {
+    serialized.reporting_currency = line.report_currency;
+    serialized.reporting_balance = fromMinorUnits(line.report_amount, line.report_currency);
+  }
+  return serialized;
+}
+
+// Nest report lines under their parent accounts and roll subtotals up the tree
+function buildAccountTree(lines) {
+  const nodes = new Map(lines.map((line) => [line.account_id, { ...line, children: [], totals: {} }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent_account_id && nodes.get(node.parent_account_id);
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const rollUp = (node) => {
+    addToTotals(node.totals, node.report_currency, node.report_amount);
+    for (const child of node.children) {
+      rollUp(child);
+      for (const [currency, amount] of Object.entries(child.totals)) {
+        addToTotals(node.totals, currency, amount);
+      }
+    }
+  };
+  roots.forEach(rollUp);
+
+  return roots;
+}
+
+function serializeTreeNode(node) {
+  return {
+    ...serializeReportLine(node),
+    totals: totalsToMajorUnits(node.totals),
+    children: node.children.map(serializeTreeNode),
+  };
+}
+
+// Depth-first rows for CSV output of an account tree
+function flattenTree(nodes, section, depth = 0) {
+  return nodes.flatMap((node) => [
+    {
+      section,
+      depth,
+      ...serializeReportLine(node),
+      subtotal: Object.entries(totalsToMajorUnits(node.totals)).map(([currency, amount]) => `${amount} ${currency}`).join('; '),
+    },
+    ...flattenTree(node.children, section, depth + 1),
+  ]);
+}
+
+async function buildTrialBalance({ asOf, reportingCurrency }) {
+  const activity = await loadAccountActivity({ to: asOf });
+  const accounts = await Account.find({ account_id: { $in: [...activity.keys()] } }).sort({ account_type: 1, account_name: 1 });
+  const totals = {};
+
+  const lines = accounts.map((account) => {
+    const { debits, credits } = activity.get(account.account_id);
+    const net = debits - credits;
+    const reportCurrency = reportingCurrency || account.currency;
+    const debit = convertCurrency(Math.max(net, 0), account.currency, reportCurrency);
+    const credit = convertCurrency(Math.max(-net, 0), account.currency, reportCurrency);
+
+    totals[reportCurrency] = totals[reportCurrency] || { debit: 0, credit: 0 };
+    totals[reportCurrency].debit += debit;
+    totals[reportCurrency].credit += credit;
+
+    return {
+      account_id: account.account_id,
+      account_name: account.account_name,
+      account_type: account.account_type,
+      currency: reportCurrency,
+      debit: fromMinorUnits(debit, reportCurrency),
+      credit: fromMinorUnits(credit, reportCurrency),
+    };
+  });
+
+  return {
+    as_of: asOf,
+    reporting_currency: reportingCurrency || null,
+    accounts: lines,
+    totals: Object.fromEntries(Object.entries(totals).map(([currency, total]) => [currency, {
+      debit: fromMinorUnits(total.debit, currency),
+      credit: fromMinorUnits(total.credit, currency),
+    }])),
+    // Conversion rounding can leave a small difference in a reporting currency
+    balanced: Object.values(totals).every((total) => total.debit === total.credit),
+  };
+}
+
+async function buildBalanceSheet({ asOf, reportingCurrency }) {
+  const activity = await loadAccountActivity({ to: asOf });
+  const accounts = await Account.find({ created_at: { $lte: asOf } }).sort({ account_name: 1 });
+
+  const sectionLines = { assets: [], liabilities: [], equity: [] };
+  const currentEarnings = {};
+
+  for (const account of accounts) {
+    const line = buildReportLine(account, netBalance(account, activity.get(account.account_id)), reportingCurrency);
+    const section = BALANCE_SHEET_SECTIONS[account.account_type];
+
+    if (section) {
+      sectionLines[section].push(line);
+    } else if (account.account_type === 'Revenue') {
+      addToTotals(currentEarnings, line.report_currency, line.report_amount);
+    } else if (account.account_type === 'Expense') {
+      addToTotals(currentEarnings, line.report_currency, -line.report_amount);
+    }
+  }
+
+  const sectionTrees = {};
+  const sectionTotals = {};
+
+  for (const [section, lines] of Object.entries(sectionLines)) {
+    sectionTrees[section] = buildAccountTree(lines);
+    sectionTotals[section] = {};
+    for (const root of sectionTrees[section]) {
+      for (const [currency, amount] of Object.entries(root.totals)) {
+        addToTotals(sectionTotals[section], currency, amount);
+      }
+    }
+  }
+
+  // Revenue less expenses not yet closed into retained earnings
+  const liabilitiesAndEquity = {};
+  for (const totals of [sectionTotals.liabilities, sectionTotals.equity, currentEarnings]) {
+    for (const [currency, amount] of Object.entries(totals)) {
+      addToTotals(liabilitiesAndEquity, currency, amount);
+    }
+  }
+
+  return {
+    as_of: asOf,
+    reporting_currency: reportingCurrency || null,
+    assets: { accounts: sectionTrees.assets, totals: totalsToMajorUnits(sectionTotals.assets) },
+    liabilities: { accounts: sectionTrees.liabilities, totals: totalsToMajorUnits(sectionTotals.liabilities) },
+    equity: { accounts: sectionTrees.equity, totals: totalsToMajorUnits(sectionTotals.equity) },
+    current_earnings: totalsToMajorUnits(currentEarnings),
+    totals: {
+      assets: totalsToMajorUnits(sectionTotals.assets),
+      liabilities_and_equity: totalsToMajorUnits(liabilitiesAndEquity),
+    },
+  };
+}
+
+async function buildIncomeStatement({ from, to, reportingCurrency }) {
+  const activity = await loadAccountActivity({ from, to });
+  const accounts = await Account.find({
+    account_id: { $in: [...activity.keys()] },
+    account_type: { $in: ['Revenue', 'Expense'] },
+  }).sort({ account_name: 1 });
+
+  const revenue = { accounts: [], totals: {} };
+  const expenses = { accounts: [], totals: {} };
+  const netIncome = {};
+
+  for (const account of accounts) {
+    const line = buildReportLine(account, netBalance(account, activity.get(account.account_id)), reportingCurrency);
+    const section = account.account_type === 'Revenue' ? revenue : expenses;
+
+    section.accounts.push(line);
+    addToTotals(section.totals, line.report_currency, line.report_amount);
+    addToTotals(netIncome, line.report_currency, section === revenue ? line.report_amount : -line.report_amount);
+  }
+
+  return {
+    from: from || null,
+    to,
+    reporting_currency: reportingCurrency || null,
+    revenue: { accounts: revenue.accounts, totals: totalsToMajorUnits(revenue.totals) },
+    expenses: { accounts: expenses.accounts, totals: totalsToMajorUnits(expenses.totals) },
+    net_income: totalsToMajorUnits(netIncome),
+  };
+}
+
+function toCsv(rows, columns) {
+  const escape = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...rows.map((row) => columns.map((column) => escape(row[column])).join(','))].join('\n') + '\n';
+}
+
+// Respond with JSON, or CSV when `format=csv` or the client accepts only CSV
+function sendReport(req, res, report, { rows, columns, filename }) {
+  if (req.query.format === 'csv' || req.accepts(['json', 'csv']) === 'csv') {
+    res.type('text/csv');
+    res.attachment(filename);
+    return res.status(200).send(toCsv(rows, columns));
+  }
+  res.status(200).json(report);
+}
+
+
+// ==========================
+// Chart of Accounts
+// ==========================
+// Accounts form a tree through parent_account_id. A parent must share its
+// children's account_type and becomes a header account that cannot be posted
+// to; its balance is the rollup of its subtree.
+
+// Check an account code against the numbering range configured for its type
+function validateAccountCode(code, accountType) {
+  if (!/^\d+$/.test(code)) {
+    throw new LedgerError(`Invalid account code ${code}: codes must be numeric`, { code: 'INVALID_ACCOUNT_CODE' });
+  }
+
+  const range = getLedgerConfig().chart_of_accounts?.code_ranges?.[accountType];
+  if (range && (Number(code) < range.from || Number(code) > range.to)) {
+    throw new LedgerError(`Invalid account code ${code}: ${accountType} accounts are numbered ${range.from}-${range.to}`, {
+      code: 'INVALID_ACCOUNT_CODE',
+    });
+  }
+}
+
+// Validate an account's code and position in the tree before it is saved.
+// Returns the parent account, if any.
+async function validateAccountPlacement(account) {
+  if (account.account_code) {
+    validateAccountCode(account.account_code, account.account_type);
+
+    const codeInUse = await Account.exists({
+      account_code: account.account_code,
+      account_id: { $ne: account.account_id },
+    });
+    if (codeInUse) {
+      throw new LedgerError(`Account code ${account.account_code} is already in use`, {
+        status: 409,
+        code: 'ACCOUNT_CODE_IN_USE',
+      });
+    }
+  }
+
+  const mismatchedChild = await Account.exists({
+    parent_account_id: account.account_id,
+    account_type: { $ne: account.account_type },
+  });
+  if (mismatchedChild) {
+    throw new LedgerError(`Account type mismatch: child accounts of ${account.account_id} are not ${account.account_type} accounts`, {
+      code: 'ACCOUNT_TYPE_MISMATCH',
+    });
+  }
+
+  if (!account.parent_account_id) {
+    return null;
+  }
+
+  const parent = await Account.findOne({ account_id: account.parent_account_id });
+  if (!parent) {
+    throw new LedgerError(`Parent account ${account.parent_account_id} not found`, { code: 'INVALID_PARENT_ACCOUNT' });
+  }
+
+  if (parent.account_type !== account.account_type) {
+    throw new LedgerError(`Account type mismatch: a ${account.account_type} account cannot be placed under ${parent.account_type} account ${parent.account_id}`, {
+      code: 'ACCOUNT_TYPE_MISMATCH',
+    });
+  }
+
+  // Walk up from the new parent; reaching the account itself means a cycle
+  const visited = new Set();
+  let ancestor = parent;
+  while (ancestor && !visited.has(ancestor.account_id)) {
+    if (ancestor.account_id === account.account_id) {
+      throw new LedgerError(`Invalid parent account ${parent.account_id}: it would create a cycle`, {
+        code: 'INVALID_PARENT_ACCOUNT',
+      });
+    }
+    visited.add(ancestor.account_id);
+    ancestor = ancestor.parent_account_id
+      ? await Account.findOne({ account_id: ancestor.parent_account_id })
+      : null;
+  }
+
+  if (!parent.is_header && await LedgerEntry.exists({ account_id: parent.account_id })) {
+    throw new LedgerError(`Parent account ${parent.account_id} has posted entries and cannot become a header account`, {
+      status: 409,
+      code: 'PARENT_HAS_ENTRIES',
+    });
+  }
+
+  return parent;
+}
+
+// Fields that define how an account's entries are interpreted; they cannot
+// change once entries have been posted
+const STRUCTURAL_ACCOUNT_FIELDS = ['account_type', 'nature', 'currency'];
+
+// Why an account cannot be closed, or null if it can
+async function accountCloseError(account) {
+  if (account.balance !== 0) {
+    return `Account ${account.account_id} cannot be closed with a non-zero balance`;
+  }
+
+  if (account.pending_debits || account.pending_credits) {
+    return `Account ${account.account_id} cannot be closed while it has active holds`;
+  }
+
+  const openChild = await Account.exists({
+    parent_account_id: account.account_id,
+    status: { $ne: 'Closed' },
+  });
+  if (openChild) {
+    return `Account ${account.account_id} cannot be closed while it has open child accounts`;
+  }
+
+  return null;
+}
+
+// Mark a parent as a header account once it has children
+async function markHeaderAccount(parent, session) {
+  if (parent && !parent.is_header) {
+    await Account.updateOne(
+      { account_id: parent.account_id },
+      { $set: { is_header: true, updated_at: Date.now() }, $inc: { __v: 1 } },
+      { session }
+    );
+  }
+}
+
+// ==========================
+// Accounting Periods
+// ==========================
+// Periods cover [start_date, end_date). Dates outside every period are open.
+// A Closed period rejects postings, or redirects them to the next open period
+// when `accounting_periods.closed_period_posting` is 'next_open_period'; it
+// can be reopened with an audited reason. A Locked period is final.
+
+const accountingPeriodSchema = new mongoose.Schema({
+  period_id: { type: String, default: uuidv4, unique: true },
+  name: { type: String, required: true },
+  start_date: { type: Date, required: true },
+  end_date: { type: Date, required: true },
+  status: { type: String, required: true, enum: ['Open', 'Closed', 'Locked'], default: 'Open' },
+  closing_entry_group_ids: [{ type: String }],
+  last_posted_at: { type: Date },
+  history: [{
+    _id: false,
+    action: { type: String, required: true, enum: ['Created', 'Closed', 'Reopened', 'Locked'] },
+    actor: { type: String },
+    reason: { type: String },
+    at: { type: Date, default: Date.now },
+  }],
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now },
+});
+
+accountingPeriodSchema.index({ ledger_id: 1, start_date: 1, end_date: 1 });
+
+accountingPeriodSchema.plugin(tenantScopePlugin);
+const AccountingPeriod = mongoose.model('AccountingPeriod', accountingPeriodSchema);
+
+async function findPeriodAt(date, session) {
+  return AccountingPeriod.findOne({ start_date: { $lte: date }, end_date: { $gt: date } })
+    .session(session || null);
+}
+
+// The date entries requested for `date` are actually posted at
+async function resolvePostingDate(date, session) {
+  const period = await findPeriodAt(date, session);
+
+  if (!period) {
+    return date;
+  }
+
+  if (period.status === 'Open') {
+    // Postings into an ended period write the period so that they conflict
+    // with a concurrent close instead of landing after its closing entries
+    if (period.end_date <= new Date()) {
+      await AccountingPeriod.updateOne(
+        { period_id: period.period_id },
+        { $set: { last_posted_at: new Date() } },
+        { session }
+      );
+    }
+    return date;
+  }
+
+  const policy = getLedgerConfig().accounting_periods?.closed_period_posting || 'reject';
+  if (period.status === 'Locked' || policy !== 'next_open_period') {
+    throw new LedgerError(`Accounting period ${period.name} is ${period.status.toLowerCase()}; cannot post entries dated ${date.toISOString()}`, {
+      status: 422,
+      code: 'PERIOD_CLOSED',
+    });
+  }
+
+  let postingDate = period.end_date;
+  for (let next = await findPeriodAt(postingDate, session); next; next = await findPeriodAt(postingDate, session)) {
+    if (next.status === 'Open') {
+      return resolvePostingDate(postingDate, session);
+    }
+    postingDate = next.end_date;
+  }
+  return postingDate;
+}
+
+// Close a period: move its Revenue and Expense activity into retained earnings
+// with closing entries dated at the end of the period, then mark it Closed.
+// Closing a reopened period only closes the activity posted since.
+async function closeAccountingPeriod(periodId, { actor, reason }) {
+  return withTransaction(async (session) => {
+    const period = await AccountingPeriod.findOne({ period_id: periodId }).session(session);
+    if (!period) {
+      throw new LedgerError(`Accounting period ${periodId} not found`, { status: 404, code: 'PERIOD_NOT_FOUND' });
+    }
+    if (period.status !== 'Open') {
+      throw new LedgerError(`Accounting period ${period.name} is already ${period.status.toLowerCase()}`, {
+        status: 409,
+        code: 'PERIOD_STATUS_CONFLICT',
+      });
+    }
+    if (period.end_date > new Date()) {
+      throw new LedgerError(`Accounting period ${period.name} cannot be closed before it ends`, {
+        status: 409,
+        code: 'PERIOD_NOT_ENDED',
+      });
+    }
+
+    const accounts = await Account.find({ account_type: { $in: ['Revenue', 'Expense'] } }).session(session);
+    const closingDate = new Date(period.end_date.getTime() - 1);
+    const activity = await loadAccountActivity({
+      from: period.start_date,
+      to: closingDate,
+      accountIds: accounts.map((account) => account.account_id),
+      session,
+    });
+
+    const entries = [];
+    const retainedEarnings = {};
+
+    for (const account of accounts) {
+      const net = netBalance(account, activity.get(account.account_id));
+      if (net === 0) continue;
+
+      // Zero the account by posting its balance to the opposite side
+      const oppositeSide = account.nature === 'Debit' ? 'Credit' : 'Debit';
+      const entryType = net > 0 ? oppositeSide : account.nature;
+      entries.push({
+        account_id: account.account_id,
+        entry_type: entryType,
+        amount: Math.abs(net),
+        currency: account.currency,
+        description: `Closing entry for period ${period.name}`,
+      });
+      addToTotals(retainedEarnings, account.currency, entryType === 'Debit' ? Math.abs(net) : -Math.abs(net));
+    }
+
+    for (const [currency, debits] of Object.entries(retainedEarnings)) {
+      if (debits === 0) continue;
+
+      const retainedEarningsAccount = await findOrCreateAccount({
+        account_name: `Retained Earnings - ${currency}`,
+        account_type: 'Equity',
+        nature: 'Credit',
+        currency,
+      }, session);
+      entries.push({
+        account_id: retainedEarningsAccount.account_id,
+        entry_type: debits > 0 ? 'Credit' : 'Debit',
+        amount: Math.abs(debits),
+        currency,
+        description: `Closing entry for period ${period.name}`,
+      });
+    }
+
+    if (entries.length > 0) {
+      const entryGroupId = uuidv4();
+      await postEntryGroup(entries, {
+        entryGroupId,
+        eventType: 'PeriodClosed',
+        timestamp: closingDate,
+      }, session);
+      period.closing_entry_group_ids.push(entryGroupId);
+    }
+
+    period.status = 'Closed';
+    period.updated_at = new Date();
+    period.history.push({ action: 'Closed', actor, reason });
+    await period.save({ session });
+    await recordAudit({
+      action: 'period.closed',
+      entityType: 'accounting_period',
+      entityId: period.period_id,
+      before: { status: 'Open' },
+      after: { status: 'Closed', reason, closing_entry_group_ids: period.closing_entry_group_ids },
+    }, session);
+
+    return period;
+  });
+}
+
+// Move a period between statuses, recording who did it and why
+async function transitionAccountingPeriod(periodId, { from, to, action, actor, reason }) {
+  return withTransaction(async (session) => {
+    const period = await AccountingPeriod.findOneAndUpdate(
+      { period_id: periodId, status: from },
+      {
+        $set: { status: to, updated_at: new Date() },
+        $push: { history: { action, actor, reason, at: new Date() } },
+      },
+      { new: true, session }
+    );
+
+    if (!period) {
+      const existing = await AccountingPeriod.findOne({ period_id: periodId }).session(session);
+      if (!existing) {
+        throw new LedgerError(`Accounting period ${periodId} not found`, { status: 404, code: 'PERIOD_NOT_FOUND' });
+      }
+      throw new LedgerError(`Accounting period ${existing.name} is ${existing.status.toLowerCase()}, expected ${from.toLowerCase()}`, {
+        status: 409,
+        code: 'PERIOD_STATUS_CONFLICT',
+      });
+    }
+
+    await recordAudit({
+      action: `period.${action.toLowerCase()}`,
+      entityType: 'accounting_period',
+      entityId: period.period_id,
+      before: { status: from },
+      after: { status: to, reason },
+    }, session);
+
+    return period;
+  });
+}
+
+// ==========================
+// Adjustments
+// ==========================
+// Manual corrections go through maker-checker: an adjustment entry group is
+// proposed with a reason, then approved (and posted) or rejected by a
+// different principal than the one who proposed it.
+
+const adjustmentSchema = new mongoose.Schema({
+  adjustment_id: { type: String, default: uuidv4, unique: true },
+  status: { type: String, required: true, enum: ['Proposed', 'Posted', 'Rejected'], default: 'Proposed' },
+  reason: { type: String, required: true },
+  transaction_id: { type: String },
+  timestamp: { type: Date },
+  entries: [{
+    _id: false,
+    account_id: { type: String, required: true },
+    entry_type: { type: String, required: true, enum: ['Debit', 'Credit'] },
+    amount: { type: Number, required: true, validate: minorUnitsValidator },
+    currency: { type: String, required: true },
+    description: { type: String },
+    metadata: { type: mongoose.Schema.Types.Mixed },
+  }],
+  proposed_by: { type: principalSchema, default: currentPrincipal },
+  decided_by: { type: principalSchema },
+  decision_reason: { type: String },
+  entry_group_id: { type: String },
+  created_at: { type: Date, default: Date.now },
+  decided_at: { type: Date },
+});
+
+adjustmentSchema.index({ status: 1, created_at: -1 });
+adjustmentSchema.set('toJSON', {
+  transform(doc, ret) {
+    ret.entries = (ret.entries || []).map((entry) => ({
+      ...entry,
+      amount: fromMinorUnits(entry.amount, entry.currency),
+    }));
+    return ret;
+  },
+});
+
+adjustmentSchema.plugin(tenantScopePlugin);
+const Adjustment = mongoose.model('Adjustment', adjustmentSchema);
+
+// Validate proposed adjustment entries and convert them to minor units
+async function buildAdjustmentEntries(entries) {
+  if (!Array.isArray(entries) || entries.length < 2) {
+    throw new LedgerError('Invalid adjustment: at least two entries are required', { code: 'INVALID_ADJUSTMENT' });
+  }
+
+  const totals = {};
+  const adjustmentEntries = [];
+
+  for (const { accountId, entryType, amount, currency, description, metadata } of entries) {
+    if (!accountId || !['Debit', 'Credit'].includes(entryType) || !amount || !currency) {
+      throw new LedgerError('Invalid adjustment: each entry needs accountId, entryType, amount and currency', {
+        code: 'INVALID_ADJUSTMENT',
+      });
+    }
+    const amountMinor = toMinorUnits(amount, currency);
+    if (amountMinor <= 0) {
+      throw new LedgerError('Invalid adjustment: amount must be positive', { code: 'INVALID_ADJUSTMENT' });
+    }
+    if (!await Account.exists({ account_id: accountId })) {
+      throw new LedgerError(`Invalid adjustment: account ${accountId} not found`, { code: 'INVALID_ADJUSTMENT' });
+    }
+
+    addToTotals(totals, currency, entryType === 'Debit' ? amountMinor : -amountMinor);
+    adjustmentEntries.push({
+      account_id: accountId,
+      entry_type: entryType,
+      amount: amountMinor,
+      currency,
+      description,
+      metadata,
+    });
+  }
+
+  if (Object.values(totals).some((total) => total !== 0)) {
+    throw new LedgerError('Invalid adjustment: total debits must equal total credits in each currency', {
+      code: 'INVALID_ADJUSTMENT',
+    });
+  }
+
+  return adjustmentEntries;
+}
+
+// Approve a proposed adjustment and post its entries. `approverKey` is the
+// API key approving it, whose issuer must not be the proposer.
+async function approveAdjustment(adjustmentId, { principal, approverKey, reason }) {
+  return withTransaction(async (session) => {
+    const adjustment = await Adjustment.findOne({ adjustment_id: adjustmentId }).session(session);
+    if (!adjustment) {
+      throw new LedgerError(`Adjustment ${adjustmentId} not found`, { status: 404, code: 'ADJUSTMENT_NOT_FOUND' });
+    }
+    if (adjustment.status !== 'Proposed') {
+      throw new LedgerError(`Adjustment ${adjustmentId} is already ${adjustment.status.toLowerCase()}`, {
+        status: 409,
+        code: 'ADJUSTMENT_ALREADY_DECIDED',
+      });
+    }
+    if (adjustment.proposed_by.id === principal.id || approverKey?.created_by_key_id === adjustment.proposed_by.id) {
+      throw new LedgerError(`Adjustment ${adjustmentId} must be approved by someone other than its proposer`, {
+        status: 403,
+        code: 'APPROVER_IS_PROPOSER',
+      });
+    }
+
+    const entryGroupId = uuidv4();
+    await postEntryGroup(adjustment.entries.map((entry) => ({
+      account_id: entry.account_id,
+      entry_type: entry.entry_type,
+      amount: entry.amount,
+      currency: entry.currency,
+      description: entry.description || `Adjustment: ${adjustment.reason}`,
+      metadata: { ...entry.metadata, adjustment_id: adjustmentId, adjustment_reason: adjustment.reason },
+    })), {
+      entryGroupId,
+      transactionId: adjustment.transaction_id,
+      eventType: 'Adjustment',
+      timestamp: adjustment.timestamp,
+    }, session);
+
+    adjustment.status = 'Posted';
+    adjustment.decided_by = principal;
+    adjustment.decision_reason = reason;
+    adjustment.decided_at = new Date();
+    adjustment.entry_group_id = entryGroupId;
+    await adjustment.save({ session });
+
+    await recordAudit({
+      action: 'adjustment.approved',
+      entityType: 'adjustment',
+      entityId: adjustmentId,
+      before: { status: 'Proposed' },
+      after: { status: 'Posted', entry_group_id: entryGroupId, reason },
+    }, session);
+
+    return adjustment;
+  });
+}
+
+// ==========================
+// Bank Reconciliation
+// ==========================
+// Bank statements (CSV, CAMT.053 or MT940) are imported against a Cash
+// account. Line amounts are signed from the bank's view of the account:
+// money in is positive and matches a Debit to the Cash account. Lines are
+// matched to entries automatically by amount, currency, date window and
+// reference, or manually.
+
+const bankStatementSchema = new mongoose.Schema({
+  statement_id: { type: String, default: uuidv4, unique: true },
+  account_id: { type: String, required: true },
+  currency: { type: String, required: true },
+  format: { type: String, required: true, enum: ['csv', 'camt053', 'mt940'] },
+  // Hash of the uploaded file, to reject duplicate imports
+  content_hash: { type: String, required: true },
+  statement_date: { type: Date },
+  opening_balance: { type: Number, validate: minorUnitsValidator },
+  closing_balance: { type: Number, validate: minorUnitsValidator },
+  line_count: { type: Number, default: 0 },
+  imported_by: { type: principalSchema, default: currentPrincipal },
+  created_at: { type: Date, default: Date.now },
+});
+
+bankStatementSchema.index({ ledger_id: 1, content_hash: 1 }, { unique: true });
+bankStatementSchema.index({ account_id: 1, statement_date: -1 });
+bankStatementSchema.set('toJSON', majorUnitsJSON('opening_balance', 'closing_balance'));
+
+bankStatementSchema.plugin(tenantScopePlugin);
+const BankStatement = mongoose.model('BankStatement', bankStatementSchema);
+
+const bankStatementLineSchema = new mongoose.Schema({
+  line_id: { type: String, default: uuidv4, unique: true },
+  statement_id: { type: String, required: true },
+  account_id: { type: String, required: true },
+  currency: { type: String, required: true },
+  line_number: { type: Number, required: true },
+  booking_date: { type: Date, required: true },
+  value_date: { type: Date },
+  amount: { type: Number, required: true, validate: minorUnitsValidator },
+  reference: { type: String },
+  description: { type: String },
+  status: { type: String, required: true, enum: ['Unmatched', 'Matched'], default: 'Unmatched' },
+  matched_entry_ids: [{ type: String }],
+  match_type: { type: String, enum: ['auto', 'manual'] },
+  matched_at: { type: Date },
+  matched_by: { type: principalSchema },
+});
+
+bankStatementLineSchema.index({ statement_id: 1, line_number: 1 });
+bankStatementLineSchema.index({ account_id: 1, status: 1, booking_date: 1 });
+bankStatementLineSchema.set('toJSON', majorUnitsJSON('amount'));
+
+bankStatementLineSchema.plugin(tenantScopePlugin);
+const BankStatementLine = mongoose.model('BankStatementLine', bankStatementLineSchema);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseStatementDate(value, label) {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new LedgerError(`Invalid bank statement: ${label} has an invalid date ${value}`, {
+      code: 'INVALID_BANK_STATEMENT',
+    });
+  }
+  return date;
+}
+
+// Split a CSV line, honouring double-quoted fields
+function splitCsvLine(line) {
+  const values = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (quoted && char === '"' && line[i + 1] === '"') {
+      current += '"';
+      i += 1;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  values.push(current.trim());
+  return values;
+}
+
+// Statement parsers return { currency, openingBalance, closingBalance,
+// statementDate, lines: [{ booking_date, value_date, amount, currency,
+// reference, description }] } with amounts in signed major units
+const statementParsers = {
+  // "date,amount[,currency,reference,description,value_date]" with a header row
+  csv(text) {
+    const rows = String(text || '').split(/\r?\n/).filter((line) => line.trim());
+    const [header, ...dataLines] = rows;
+    const columns = splitCsvLine(header || '').map((column) => column.toLowerCase());
+
+    const missing = ['date', 'amount'].filter((column) => !columns.includes(column));
+    if (missing.length > 0) {
+      throw new LedgerError(`Invalid bank statement: CSV header is missing ${missing.join(', ')}`, {
+        code: 'INVALID_BANK_STATEMENT',
+      });
+    }
+
+    return {
+      lines: dataLines.map((line, index) => {
+        const values = splitCsvLine(line);
+        const field = (name) => (columns.includes(name) ? values[columns.indexOf(name)] : undefined) || undefined;
+        return {
+          booking_date: parseStatementDate(field('date'), `row ${index + 1}`),
+          value_date: field('value_date') ? parseStatementDate(field('value_date'), `row ${index + 1}`) : undefined,
+          amount: Number(field('amount')),
+          currency: field('currency'),
+          reference: field('reference'),
+          description: field('description'),
+        };
+      }),
+    };
+  },
+
+  // ISO 20022 bank-to-customer statement
+  camt053(text) {
+    const parser = new XMLParser({
+      ignoreAttributes: false,
+      removeNSPrefix: true,
+      parseTagValue: false,
+      isArray: (name) => ['Stmt', 'Bal', 'Ntry', 'NtryDtls', 'TxDtls', 'Ustrd'].includes(name),
+    });
+    const statement = parser.parse(String(text || '')).Document?.BkToCstmrStmt?.Stmt?.[0];
+    if (!statement) {
+      throw new LedgerError('Invalid bank statement: no CAMT.053 Stmt element found', {
+        code: 'INVALID_BANK_STATEMENT',
+      });
+    }
+
+    const signed = (amount, indicator) => (indicator === 'DBIT' ? -1 : 1) * Number(amount?.['#text'] ?? amount);
+    const dateOf = (node) => node?.Dt || node?.DtTm;
+    const balance = (code) => {
+      const entry = (statement.Bal || []).find((bal) => bal.Tp?.CdOrPrtry?.Cd === code);
+      return entry && { amount: signed(entry.Amt, entry.CdtDbtInd), date: dateOf(entry.Dt) };
+    };
+    const opening = balance('OPBD') || balance('PRCD');
+    const closing = balance('CLBD');
+
+    return {
+      currency: statement.Acct?.Ccy,
+      openingBalance: opening?.amount,
+      closingBalance: closing?.amount,
+      statementDate: closing?.date ? parseStatementDate(closing.date, 'closing balance') : undefined,
+      lines: (statement.Ntry || []).map((entry, index) => {
+        const transaction = entry.NtryDtls?.[0]?.TxDtls?.[0];
+        return {
+          booking_date: parseStatementDate(dateOf(entry.BookgDt), `entry ${index + 1}`),
+          value_date: dateOf(entry.ValDt) ? parseStatementDate(dateOf(entry.ValDt), `entry ${index + 1}`) : undefined,
+          amount: signed(entry.Amt, entry.CdtDbtInd),
+          currency: entry.Amt?.['@_Ccy'],
+          reference: transaction?.Refs?.EndToEndId || entry.AcctSvcrRef || entry.NtryRef,
+          description: (transaction?.RmtInf?.Ustrd || []).join(' ') || entry.AddtlNtryInf,
+        };
+      }),
+    };
+  },
+
+  // SWIFT MT940 customer statement
+  mt940(text) {
+    const fields = [];
+    for (const line of String(text || '').split(/\r?\n/)) {
+      const tag = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+      if (tag) {
+        fields.push({ tag: tag[1], value: tag[2] });
+      } else if (fields.length > 0 && line.trim() && !line.startsWith('-')) {
+        fields[fields.length - 1].value += `\n${line}`;
+      }
+    }
+    if (!fields.some((field) => field.tag === '61' || field.tag.startsWith('60'))) {
+      throw new LedgerError('Invalid bank statement: no MT940 balance or statement lines found', {
+        code: 'INVALID_BANK_STATEMENT',
+      });
+    }
+
+    const toDate = (yymmdd) => parseStatementDate(`20${yymmdd.slice(0, 2)}-${yymmdd.slice(2, 4)}-${yymmdd.slice(4, 6)}`, 'MT940 field');
+    const toAmount = (value) => Number(value.replace(',', '.'));
+    const parseBalance = (value) => {
+      const match = value.match(/^([CD])(\d{6})([A-Z]{3})([\d,]+)/);
+      if (!match) {
+        throw new LedgerError(`Invalid bank statement: cannot parse MT940 balance ${value}`, { code: 'INVALID_BANK_STATEMENT' });
+      }
+      return { amount: (match[1] === 'D' ? -1 : 1) * toAmount(match[4]), date: toDate(match[2]), currency: match[3] };
+    };
+
+    const result = { lines: [] };
+    for (const { tag, value } of fields) {
+      if (tag === '60F' || tag === '60M') {
+        if (result.openingBalance === undefined) {
+          const opening = parseBalance(value);
+          result.openingBalance = opening.amount;
+          result.currency = opening.currency;
+        }
+      } else if (tag === '62F' || tag === '62M') {
+        const closing = parseBalance(value);
+        result.closingBalance = closing.amount;
+        result.statementDate = closing.date;
+      } else if (tag === '61') {
+        const match = value.match(/^(\d{6})(\d{4})?(RC|RD|C|D)[A-Z]?([\d,]+)[NFS][A-Z0-9]{3}([^\n/]*)(?:\/\/([^\n]*))?(?:\n([\s\S]*))?$/);
+        if (!match) {
+          throw new LedgerError(`Invalid bank statement: cannot parse MT940 statement line ${value}`, {
+            code: 'INVALID_BANK_STATEMENT',
+          });
+        }
+        // RC reverses a credit and RD reverses a debit
+        const sign = match[3] === 'C' || match[3] === 'RD' ? 1 : -1;
+        const customerReference = match[5].trim();
+        result.lines.push({
+          booking_date: toDate(match[1]),
+          amount: sign * toAmount(match[4]),
+          reference: customerReference && customerReference !== 'NONREF' ? customerReference : match[6]?.trim(),
+          description: match[7]?.trim(),
+        });
+      } else if (tag === '86' && result.lines.length > 0) {
+        const line = result.lines[result.lines.length - 1];
+        line.description = [line.description, value.replace(/\n/g, ' ').trim()].filter(Boolean).join(' ');
+      }
+    }
+    return result;
+  },
+};
+
+// Cash accounts are the "Cash - {currency}" asset accounts that events post to
+function isCashAccount(account) {
+  return account.account_type === 'Asset' && account.account_name === `Cash - ${account.currency}`;
+}
+
+// Parse and store a statement for a Cash account, then auto-match its lines
+async function importBankStatement({ account, format, content }) {
+  const parser = statementParsers[format];
+  if (!parser) {
+    throw new LedgerError(`Invalid bank statement: unsupported format ${format}`, { code: 'INVALID_BANK_STATEMENT' });
+  }
+
+  const parsed = parser(content);
+  if (parsed.currency && parsed.currency !== account.currency) {
+    throw new LedgerError(`Invalid bank statement: statement currency ${parsed.currency} does not match account currency ${account.currency}`, {
+      code: 'INVALID_BANK_STATEMENT',
+    });
+  }
+
+  const lines = parsed.lines.map((line, index) => {
+    const currency = line.currency || account.currency;
+    if (currency !== account.currency) {
+      throw new LedgerError(`Invalid bank statement: line ${index + 1} currency ${currency} does not match account currency ${account.currency}`, {
+        code: 'INVALID_BANK_STATEMENT',
+      });
+    }
+    return {
+      ...line,
+      currency,
+      line_number: index + 1,
+      amount: toMinorUnits(line.amount, currency),
+    };
+  });
+
+  const statement = new BankStatement({
+    account_id: account.account_id,
+    currency: account.currency,
+    format,
+    content_hash: crypto.createHash('sha256').update(String(content)).digest('hex'),
+    statement_date: parsed.statementDate || lines.reduce((latest, line) => (line.booking_date > latest ? line.booking_date : latest), lines[0]?.booking_date),
+    opening_balance: parsed.openingBalance === undefined ? undefined : toMinorUnits(parsed.openingBalance, account.currency),
+    closing_balance: parsed.closingBalance === undefined ? undefined : toMinorUnits(parsed.closingBalance, account.currency),
+    line_count: lines.length,
+  });
+
+  await withTransaction(async (session) => {
+    await statement.save({ session });
+    await BankStatementLine.insertMany(lines.map((line) => ({
+      ...line,
+      ledger_id: getLedgerId(),
+      statement_id: statement.statement_id,
+      account_id: account.account_id,
+    })), { session });
+    await recordAudit({
+      action: 'bank_statement.imported',
+      entityType: 'bank_statement',
+      entityId: statement.statement_id,
+      after: { account_id: account.account_id, format, line_count: lines.length },
+    }, session);
+  });
+
+  const autoMatch = await autoMatchStatement(statement);
+  return { statement, lines_imported: lines.length, ...autoMatch };
+}
+
+// Signed amount of an entry from the Cash account's (debit) view
+function signedCashAmount(entry) {
+  return entry.entry_type === 'Debit' ? entry.amount : -entry.amount;
+}
+
+// Match a statement line to one or more entries on its account whose signed
+// amounts add up to the line amount
+async function matchStatementLine(lineId, entryIds, matchType) {
+  return withTransaction(async (session) => {
+    const line = await BankStatementLine.findOne({ line_id: lineId }).session(session);
+    if (!line) {
+      throw new LedgerError(`Statement line ${lineId} not found`, { status: 404, code: 'STATEMENT_LINE_NOT_FOUND' });
+    }
+    if (line.status !== 'Unmatched') {
+      throw new LedgerError(`Invalid match: statement line ${lineId} is already matched`, {
+        status: 409,
+        code: 'ALREADY_MATCHED',
+      });
+    }
+
+    const uniqueEntryIds = [...new Set(entryIds)];
+    const entries = await LedgerEntry.find({ entry_id: { $in: uniqueEntryIds } }).session(session);
+    if (uniqueEntryIds.length === 0 || entries.length !== uniqueEntryIds.length) {
+      throw new LedgerError('Invalid match: ledger entries not found', { code: 'INVALID_MATCH' });
+    }
+
+    for (const entry of entries) {
+      if (entry.account_id !== line.account_id || entry.currency !== line.currency) {
+        throw new LedgerError(`Invalid match: entry ${entry.entry_id} is not on the statement account`, {
+          code: 'INVALID_MATCH',
+        });
+      }
+      if (entry.reconciled_line_id) {
+        throw new LedgerError(`Invalid match: entry ${entry.entry_id} is already matched`, {
+          status: 409,
+          code: 'ALREADY_MATCHED',
+        });
+      }
+    }
+
+    const total = entries.reduce((sum, entry) => sum + signedCashAmount(entry), 0);
+    if (total !== line.amount) {
+      throw new LedgerError(`Invalid match: entries total ${fromMinorUnits(total, line.currency)} but the statement line is ${fromMinorUnits(line.amount, line.currency)}`, {
+        code: 'INVALID_MATCH',
+      });
+    }
+
+    const { modifiedCount } = await LedgerEntry.updateMany(
+      { entry_id: { $in: uniqueEntryIds }, reconciled_line_id: { $exists: false } },
+      { $set: { reconciled_line_id: lineId } },
+      { session }
+    );
+    if (modifiedCount !== uniqueEntryIds.length) {
+      throw new LedgerError('Invalid match: an entry was matched concurrently', {
+        status: 409,
+        code: 'ALREADY_MATCHED',
+      });
+    }
+
+    line.status = 'Matched';
+    line.matched_entry_ids = uniqueEntryIds;
+    line.match_type = matchType;
+    line.matched_at = new Date();
+    line.matched_by = currentPrincipal();
+    await line.save({ session });
+
+    await recordAudit({
+      action: 'reconciliation.matched',
+      entityType: 'bank_statement_line',
+      entityId: lineId,
+      after: { entry_ids: uniqueEntryIds, match_type: matchType },
+    }, session);
+
+    return line;
+  });
+}
+
+async function unmatchStatementLine(lineId) {
+  return withTransaction(async (session) => {
+    const line = await BankStatementLine.findOne({ line_id: lineId }).session(session);
+    if (!line) {
+      throw new LedgerError(`Statement line ${lineId} not found`, { status: 404, code: 'STATEMENT_LINE_NOT_FOUND' });
+    }
+    if (line.status !== 'Matched') {
+      throw new LedgerError(`Invalid match: statement line ${lineId} is not matched`, {
+        status: 409,
+        code: 'NOT_MATCHED',
+      });
+    }
+
+    const before = { entry_ids: line.matched_entry_ids, match_type: line.match_type };
+    await LedgerEntry.updateMany(
+      { entry_id: { $in: line.matched_entry_ids }, reconciled_line_id: lineId },
+      { $unset: { reconciled_line_id: '' } },
+      { session }
+    );
+
+    line.status = 'Unmatched';
+    line.matched_entry_ids = [];
+    line.match_type = undefined;
+    line.matched_at = undefined;
+    line.matched_by = undefined;
+    await line.save({ session });
+
+    await recordAudit({
+      action: 'reconciliation.unmatched',
+      entityType: 'bank_statement_line',
+      entityId: lineId,
+      before,
+    }, session);
+
+    return line;
+  });
+}
+
+// Pick the entry to match automatically: a unique reference match, else the
+// only candidate. Several candidates without a reference are left for review.
+function pickAutoMatch(line, candidates) {
+  if (line.reference) {
+    const byReference = candidates.filter((entry) => [entry.transaction_id, entry.entryGroupId, entry.entry_id]
+      .includes(line.reference));
+    if (byReference.length === 1) {
+      return byReference[0];
+    }
+  }
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+async function autoMatchStatement(statement) {
+  const windowMs = (getLedgerConfig().reconciliation?.date_window_days ?? 3) * DAY_MS;
+  const lines = await BankStatementLine.find({ statement_id: statement.statement_id, status: 'Unmatched' })
+    .sort({ booking_date: 1, line_number: 1 });
+  let matched = 0;
+
+  for (const line of lines) {
+    const candidates = await LedgerEntry.find({
+      account_id: line.account_id,
+      currency: line.currency,
+      entry_type: line.amount >= 0 ? 'Debit' : 'Credit',
+      amount: Math.abs(line.amount),
+      reconciled_line_id: { $exists: false },
+      timestamp: {
+        $gte: new Date(line.booking_date.getTime() - windowMs),
+        $lte: new Date(line.booking_date.getTime() + windowMs),
+      },
+    }).limit(50);
+
+    const entry = pickAutoMatch(line, candidates);
+    if (!entry) continue;
+
+    try {
+      await matchStatementLine(line.line_id, [entry.entry_id], 'auto');
+      matched += 1;
+    } catch (err) {
+      // Taken by a concurrent match; leave the line for the next run
+      if (!['ALREADY_MATCHED', 'INVALID_MATCH'].includes(err.code)) throw err;
+    }
+  }
+
+  return { auto_matched: matched, unmatched: lines.length - matched };
+}
+
+// Unmatched statement lines and unmatched Cash entries for an account, with
+// the latest statement closing balance next to the ledger balance
+async function buildReconciliationReport(account, { from, to }) {
+  const lineFilter = { account_id: account.account_id, status: 'Unmatched', booking_date: { $lte: to } };
+  const entryFilter = { account_id: account.account_id, reconciled_line_id: { $exists: false }, timestamp: { $lte: to } };
+  if (from) {
+    lineFilter.booking_date.$gte = from;
+    entryFilter.timestamp.$gte = from;
+  }
+
+  const [unmatchedLines, unmatchedEntries, latestStatement, ledgerBalance] = await Promise.all([
+    BankStatementLine.find(lineFilter).sort({ booking_date: 1 }),
+    LedgerEntry.find(entryFilter).sort({ timestamp: 1 }),
+    BankStatement.findOne({ account_id: account.account_id, statement_date: { $lte: to }, closing_balance: { $type: 'number' } })
+      .sort({ statement_date: -1 }),
+    computeBalanceAsOf(account, to),
+  ]);
+
+  const total = (items, amountOf) => fromMinorUnits(items.reduce((sum, item) => sum + amountOf(item), 0), account.currency);
+
+  return {
+    account_id: account.account_id,
+    account_name: account.account_name,
+    currency: account.currency,
+    from: from || null,
+    to,
+    ledger_balance: fromMinorUnits(ledgerBalance.balance, account.currency),
+    statement: latestStatement && {
+      statement_id: latestStatement.statement_id,
+      statement_date: latestStatement.statement_date,
+      closing_balance: fromMinorUnits(latestStatement.closing_balance, account.currency),
+      difference: fromMinorUnits(ledgerBalance.balance - latestStatement.closing_balance, account.currency),
+    },
+    unmatched_statement_lines: {
+      count: unmatchedLines.length,
+      total: total(unmatchedLines, (line) => line.amount),
+      items: unmatchedLines,
+    },
+    unmatched_ledger_entries: {
+      count: unmatchedEntries.length,
+      total: total(unmatchedEntries, signedCashAmount),
+      items: unmatchedEntries,
+    },
+  };
+}
+
+// ==========================
+// Balance Snapshots
+// ==========================
+// A snapshot stores an account's balance including every entry with
+// timestamp <= as_of, so a point-in-time balance only has to sum the entries
+// after the latest earlier snapshot.
+
+// Snapshots are taken this far in the past so that transactions still in
+// flight when the snapshot runs cannot add entries before its as_of
+const SNAPSHOT_SETTLE_MS = 5 * 60 * 1000;
+
+const balanceSnapshotSchema = new mongoose.Schema({
+  account_id: { type: String, required: true },
+  currency: { type: String, required: true },
+  as_of: { type: Date, required: true },
+  balance: { type: Number, required: true, validate: minorUnitsValidator },
+  created_at: { type: Date, default: Date.now },
+});
+
+balanceSnapshotSchema.index({ account_id: 1, as_of: -1 }, { unique: true });
+balanceSnapshotSchema.set('toJSON', majorUnitsJSON('balance'));
+
+balanceSnapshotSchema.plugin(tenantScopePlugin);
+const BalanceSnapshot = mongoose.model('BalanceSnapshot', balanceSnapshotSchema);
+
+// Balance in the account's nature including entries with timestamp <= asOf
+async function computeBalanceAsOf(account, asOf) {
+  const snapshot = await BalanceSnapshot.findOne({ account_id: account.account_id, as_of: { $lte: asOf } })
+    .sort({ as_of: -1 });
+
+  const match = { account_id: account.account_id, timestamp: { $lte: asOf } };
+  if (snapshot) {
+    match.timestamp.$gt = snapshot.as_of;
+  }
+
+  const [activity] = await LedgerEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        debits: { $sum: { $cond: [{ $eq: ['$entry_type', 'Debit'] }, '$amount', 0] } },
+        credits: { $sum: { $cond: [{ $eq: ['$entry_type', 'Credit'] }, '$amount', 0] } },
+      },
+    },
+  ]);
+
+  return {
+    balance: (snapshot ? snapshot.balance : 0) + netBalance(account, activity),
+    snapshotAsOf: snapshot ? snapshot.as_of : null,
+  };
+}
+
+// Entries dated at or before a snapshot make it stale; drop the affected
+// snapshots so balances fall back to earlier ones
+async function invalidateBalanceSnapshots(ledgerEntries, postingDate, session) {
+  if (postingDate.getTime() > Date.now() - SNAPSHOT_SETTLE_MS) {
+    return;
+  }
+
+  const accountIds = [...new Set(ledgerEntries.map((entry) => entry.account_id))];
+  await BalanceSnapshot.deleteMany(
+    { account_id: { $in: accountIds }, as_of: { $gte: postingDate } },
+    { session }
+  );
+}
+
+// Snapshot every account's balance as of `asOf`
+async function takeBalanceSnapshots(asOf = new Date(Date.now() - SNAPSHOT_SETTLE_MS)) {
+  const accounts = await Account.find({}, { account_id: 1, currency: 1, nature: 1 });
+  let created = 0;
+
+  for (const account of accounts) {
+    const { balance } = await computeBalanceAsOf(account, asOf);
+    const result = await BalanceSnapshot.updateOne(
+      { account_id: account.account_id, as_of: asOf },
+      { $setOnInsert: { currency: account.currency, balance, created_at: new Date() } },
+      { upsert: true }
+    );
+    created += result.upsertedCount;
+  }
+
+  return { as_of: asOf, accounts: accounts.length, created };
+}
+
+// One page of an account statement with opening, running and closing balances
+async function buildAccountStatement(account, { from, to, page, pageSize }) {
+  const range = { account_id: account.account_id, timestamp: { $lte: to } };
+  if (from) {
+    range.timestamp.$gte = from;
+  }
+
+  const opening = from ? await computeBalanceAsOf(account, new Date(from.getTime() - 1)) : { balance: 0 };
+  const closing = await computeBalanceAsOf(account, to);
+  const order = { timestamp: 1, _id: 1 };
+  const skip = (page - 1) * pageSize;
+
+  // Entries on earlier pages move the running balance before this page starts
+  let runningBalance = opening.balance;
+  if (skip > 0) {
+    const [earlier] = await LedgerEntry.aggregate([
+      { $match: range },
+      { $sort: order },
+      { $limit: skip },
+      {
+        $group: {
+          _id: null,
+          debits: { $sum: { $cond: [{ $eq: ['$entry_type', 'Debit'] }, '$amount', 0] } },
+          credits: { $sum: { $cond: [{ $eq: ['$entry_type', 'Credit'] }, '$amount', 0] } },
+        },
+      },
+    ]);
+    runningBalance += netBalance(account, earlier);
+  }
+
+  const totalEntries = await LedgerEntry.countDocuments(range);
+  const entries = await LedgerEntry.find(range).sort(order).skip(skip).limit(pageSize);
+
+  const lines = entries.map((entry) => {
+    const isNormalSide = entry.entry_type === account.nature;
+    runningBalance += isNormalSide ? entry.amount : -entry.amount;
+    return {
+      entry_id: entry.entry_id,
+      entryGroupId: entry.entryGroupId,
+      transaction_id: entry.transaction_id,
+      timestamp: entry.timestamp,
+      entry_type: entry.entry_type,
+      amount: fromMinorUnits(entry.amount, entry.currency),
+      description: entry.description,
+      running_balance: fromMinorUnits(runningBalance, account.currency),
+    };
+  });
+
+  return {
+    account_id: account.account_id,
+    account_name: account.account_name,
+    currency: account.currency,
+    nature: account.nature,
+    from: from || null,
+    to,
+    opening_balance: fromMinorUnits(opening.balance, account.currency),
+    closing_balance: fromMinorUnits(closing.balance, account.currency),
+    entries: lines,
+    pagination: {
+      page,
+      pageSize,
+      totalPages: Math.ceil(totalEntries / pageSize),
+      totalEntries,
+    },
+  };
+}
+
+let balanceSnapshotTask = null;
+
+// (Re)schedule snapshots according to `ledgerConfig.balance_snapshots`
+function scheduleBalanceSnapshots() {
+  if (balanceSnapshotTask) {
+    balanceSnapshotTask.stop();
+    balanceSnapshotTask = null;
+  }
+
+  const settings = ledgerConfig.balance_snapshots;
+  if (!settings || !settings.enabled || !settings.schedule) {
+    return;
+  }
+
+  if (!cron.validate(settings.schedule)) {
+    console.warn('Invalid balance snapshot schedule:', settings.schedule);
+    return;
+  }
+
+  balanceSnapshotTask = cron.schedule(settings.schedule, async () => {
+    try {
+      await forEachLedger(async ({ ledger_id: ledgerId }) => {
+        if (getLedgerConfig().balance_snapshots?.enabled === false) {
+          return;
+        }
+        const result = await takeBalanceSnapshots();
+        console.log(`Balance snapshots taken for ledger ${ledgerId}:`, result);
+      });
+    } catch (error) {
+      console.error('Error taking balance snapshots:', error.message);
+    }
+  });
+}
+
+scheduleBalanceSnapshots();
+
+// ==========================
+// Outbox and Webhooks
+// ==========================
+// Postings, reversals and balance changes write an outbox event in the same
+// transaction as the change, so an event exists if and only if the change was
+// committed. The dispatcher fans each event out to a delivery per matching
+// webhook endpoint and POSTs it, retrying with exponential backoff until
+// `max_attempts` is reached, when the delivery is dead-lettered. Dead-lettered
+// and past deliveries can be replayed.
+//
+// Requests carry X-Ledger-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of
+// "<t>.<raw body>" keyed with the endpoint secret>. Receivers should verify
+// the signature, reject stale timestamps and de-duplicate on X-Ledger-Event-Id.
+
+const WEBHOOK_EVENT_TYPES = ['entry_group.posted', 'entry_group.reversed', 'account.balance_changed'];
+
+const outboxEventSchema = new mongoose.Schema({
+  outbox_id: { type: String, default: uuidv4, unique: true },
+  event_type: { type: String, required: true, enum: WEBHOOK_EVENT_TYPES },
+  aggregate_id: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  request_id: { type: String },
+  created_at: { type: Date, default: Date.now },
+  // Set once deliveries have been created for every matching endpoint
+  dispatched_at: { type: Date, default: null },
+});
+
+outboxEventSchema.index({ dispatched_at: 1, created_at: 1 });
+outboxEventSchema.index({ event_type: 1, created_at: 1 });
+
+outboxEventSchema.plugin(tenantScopePlugin);
+const OutboxEvent = mongoose.model('OutboxEvent', outboxEventSchema);
+
+const webhookEndpointSchema = new mongoose.Schema({
+  endpoint_id: { type: String, default: uuidv4, unique: true },
+  url: { type: String, required: true },
+  // Signing secret. Stored as-is because it is needed to sign requests.
+  secret: { type: String, required: true },
+  // Event types to deliver; empty means all
+  event_types: [{ type: String, enum: WEBHOOK_EVENT_TYPES }],
+  description: { type: String },
+  status: { type: String, required: true, enum: ['Active', 'Disabled'], default: 'Active' },
+  created_by: { type: String },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now },
+});
+
+webhookEndpointSchema.set('toJSON', {
+  transform(doc, ret) {
+    delete ret.secret;
+    return ret;
+  },
+});
+
+webhookEndpointSchema.plugin(tenantScopePlugin);
+const WebhookEndpoint = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
+
+const webhookDeliverySchema = new mongoose.Schema({
+  delivery_id: { type: String, default: uuidv4, unique: true },
+  outbox_id: { type: String, required: true },
+  endpoint_id: { type: String, required: true },
+  event_type: { type: String, required: true },
+  status: { type: String, required: true, enum: ['Pending', 'Delivered', 'DeadLetter'], default: 'Pending' },
+  attempts: { type: Number, default: 0 },
+  next_attempt_at: { type: Date, default: Date.now },
+  last_attempt_at: { type: Date },
+  last_status_code: { type: Number },
+  last_error: { type: String },
+  delivered_at: { type: Date },
+  created_at: { type: Date, default: Date.now },
+});
+
+webhookDeliverySchema.index({ ledger_id: 1, outbox_id: 1, endpoint_id: 1 }, { unique: true });
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+webhookDeliverySchema.index({ endpoint_id: 1, created_at: -1 });
+
+webhookDeliverySchema.plugin(tenantScopePlugin);
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+// Record an event for webhook delivery in the caller's transaction
+async function writeOutboxEvent(eventType, aggregateId, payload, session) {
+  await new OutboxEvent({
+    event_type: eventType,
+    aggregate_id: aggregateId,
+    payload,
+    request_id: ledgerContext.getStore()?.requestId,
+  }).save({ session });
+}
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function validateWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    throw new LedgerError(`Invalid webhook URL ${url}`, { code: 'INVALID_WEBHOOK_ENDPOINT' });
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new LedgerError(`Invalid webhook URL ${url}: only http and https are supported`, {
+      code: 'INVALID_WEBHOOK_ENDPOINT',
+    });
+  }
+}
+
+function endpointWantsEvent(endpoint, eventType) {
+  return endpoint.event_types.length === 0 || endpoint.event_types.includes(eventType);
+}
+
+// Delay before retry number `attempts` (1 = first retry), doubling from
+// `backoff_base_seconds` up to `backoff_max_seconds`
+function retryBackoffMs(attempts, settings) {
+  const seconds = Math.min(settings.backoff_base_seconds * 2 ** (attempts - 1), settings.backoff_max_seconds);
+  return seconds * 1000;
+}
+
+// Create deliveries for undispatched outbox events. Upserts make this safe to
+// repeat after a crash between creating deliveries and marking the event.
+// Events stay undispatched while the ledger has no active endpoint, so the
+// first endpoint receives them. Once marked, an event only reaches endpoints
+// that existed and subscribed to it at the time; others get it through
+// POST /webhook-endpoints/:endpointId/replay with `from`.
+async function fanOutOutboxEvents(batchSize) {
+  const endpoints = await WebhookEndpoint.find({ status: 'Active' });
+  if (endpoints.length === 0) {
+    return 0;
+  }
+
+  const events = await OutboxEvent.find({ dispatched_at: null }).sort({ created_at: 1 }).limit(batchSize);
+  if (events.length === 0) {
+    return 0;
+  }
+
+  const operations = events.flatMap((event) => endpoints
+    .filter((endpoint) => endpointWantsEvent(endpoint, event.event_type))
+    .map((endpoint) => ({
+      updateOne: {
+        filter: { outbox_id: event.outbox_id, endpoint_id: endpoint.endpoint_id },
+        update: {
+          $setOnInsert: {
+            delivery_id: uuidv4(),
+            event_type: event.event_type,
+            status: 'Pending',
+            attempts: 0,
+            next_attempt_at: new Date(),
+            created_at: new Date(),
+          },
+        },
+        upsert: true,
+      },
+    })));
+
+  if (operations.length > 0) {
+    await WebhookDelivery.bulkWrite(operations, { ordered: false });
+  }
+  await OutboxEvent.updateMany(
+    { outbox_id: { $in: events.map((event) => event.outbox_id) }, dispatched_at: null },
+    { $set: { dispatched_at: new Date() } }
+  );
+  return events.length;
+}
+
+// Send one delivery and record the outcome
+async function attemptWebhookDelivery(delivery, settings) {
+  const [endpoint, event] = await Promise.all([
+    WebhookEndpoint.findOne({ endpoint_id: delivery.endpoint_id }),
+    OutboxEvent.findOne({ outbox_id: delivery.outbox_id }),
+  ]);
+  const now = new Date();
+  const update = { last_attempt_at: now, attempts: delivery.attempts + 1 };
+
+  if (!endpoint || endpoint.status !== 'Active' || !event) {
+    update.status = 'DeadLetter';
+    update.last_error = !event ? 'Outbox event not found' : 'Webhook endpoint is disabled';
+  } else {
+    const body = JSON.stringify({
+      id: event.outbox_id,
+      type: event.event_type,
+      ledger_id: getLedgerId(),
+      created_at: event.created_at,
+      data: event.payload,
+    });
+    const timestamp = Math.floor(now.getTime() / 1000);
+
+    try {
+      const response = await axios.post(endpoint.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ledger-webhooks/1.0',
+          'X-Ledger-Event-Id': event.outbox_id,
+          'X-Ledger-Event-Type': event.event_type,
+          'X-Ledger-Delivery-Id': delivery.delivery_id,
+          'X-Ledger-Signature': signWebhookPayload(endpoint.secret, timestamp, body),
+        },
+        timeout: settings.timeout_ms,
+        maxRedirects: 0,
+        validateStatus: () => true,
+      });
+      update.last_status_code = response.status;
+      if (response.status >= 200 && response.status < 300) {
+        update.status = 'Delivered';
+        update.delivered_at = now;
+        update.last_error = null;
+      } else {
+        update.last_error = `Endpoint responded with status ${response.status}`;
+      }
+    } catch (err) {
+      update.last_error = err.message;
+    }
+
+    if (update.status !== 'Delivered') {
+      if (update.attempts >= settings.max_attempts) {
+        update.status = 'DeadLetter';
+      } else {
+        update.next_attempt_at = new Date(now.getTime() + retryBackoffMs(update.attempts, settings));
+      }
+    }
+  }
+
+  await WebhookDelivery.updateOne({ delivery_id: delivery.delivery_id }, { $set: update });
+  return update.status || 'Pending';
+}
+
+// Fan out new outbox events and send due deliveries for the current ledger
+async function dispatchWebhooks() {
+  const settings = { ...defaultConfig.webhooks, ...getLedgerConfig().webhooks };
+  const result = { events_dispatched: await fanOutOutboxEvents(settings.batch_size), delivered: 0, retrying: 0, dead_lettered: 0 };
+
+  const due = await WebhookDelivery.find({ status: 'Pending', next_attempt_at: { $lte: new Date() } })
+    .sort({ next_attempt_at: 1 })
+    .limit(settings.batch_size);
+
+  for (const candidate of due) {
+    // Claim the delivery so another instance does not send it concurrently;
+    // if this process dies the claim expires and the delivery is retried
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { delivery_id: candidate.delivery_id, status: 'Pending', next_attempt_at: candidate.next_attempt_at },
+      { $set: { next_attempt_at: new Date(Date.now() + settings.timeout_ms + 60 * 1000) } },
+      { new: true }
+    );
+    if (!delivery) continue;
+
+    const status = await attemptWebhookDelivery(delivery, settings);
+    if (status === 'Delivered') result.delivered += 1;
+    else if (status === 'DeadLetter') result.dead_lettered += 1;
+    else result.retrying += 1;
+  }
+
+  return result;
+}
+
+// Queue deliveries again for immediate sending. Resets the attempt count, so a
+// replayed delivery gets the full retry budget.
+async function replayWebhookDeliveries(filter) {
+  const { modifiedCount } = await WebhookDelivery.updateMany(filter, {
+    $set: { status: 'Pending', attempts: 0, next_attempt_at: new Date() },
+    $unset: { delivered_at: '' },
+  });
+  return modifiedCount;
+}
+
+// Replay outbox events in [from, to] to an endpoint, creating deliveries for
+// events from before the endpoint existed
+async function replayOutboxEvents(endpoint, { from, to }) {
+  const filter = { created_at: { $gte: from, $lte: to } };
+  if (endpoint.event_types.length > 0) {
+    filter.event_type = { $in: endpoint.event_types };
+  }
+  const events = await OutboxEvent.find(filter).select('outbox_id event_type');
+  if (events.length === 0) {
+    return 0;
+  }
+
+  await WebhookDelivery.bulkWrite(events.map((event) => ({
+    updateOne: {
+      filter: { outbox_id: event.outbox_id, endpoint_id: endpoint.endpoint_id },
+      update: {
+        $set: { status: 'Pending', attempts: 0, next_attempt_at: new Date() },
+        $unset: { delivered_at: '' },
+        $setOnInsert: {
+          delivery_id: uuidv4(),
+          event_type: event.event_type,
+          created_at: new Date(),
+        },
+      },
+      upsert: true,
+    },
+  })), { ordered: false });
+  return events.length;
+}
+
+let webhookDispatchTask = null;
+
+// (Re)schedule the dispatcher according to `ledgerConfig.webhooks`
+function scheduleWebhookDispatch() {
+  if (webhookDispatchTask) {
+    webhookDispatchTask.stop();
+    webhookDispatchTask = null;
+  }
+
+  const settings = ledgerConfig.webhooks;
+  if (!settings || !settings.enabled || !settings.schedule) {
+    return;
+  }
+
+  if (!cron.validate(settings.schedule)) {
+    console.warn('Invalid webhook dispatch schedule:', settings.schedule);
+    return;
+  }
+
+  let running = false;
+  webhookDispatchTask = cron.schedule(settings.schedule, async () => {
+    // Skip a tick while the previous run is still sending
+    if (running) return;
+    running = true;
+    try {
+      await forEachLedger(async ({ ledger_id: ledgerId }) => {
+        if (getLedgerConfig().webhooks?.enabled === false) {
+          return;
+        }
+        const result = await dispatchWebhooks();
+        if (result.events_dispatched > 0 || result.delivered > 0 || result.retrying > 0 || result.dead_lettered > 0) {
+          console.log(`Webhook dispatch for ledger ${ledgerId}:`, result);
+        }
+      });
+    } catch (error) {
+      console.error('Error dispatching webhooks:', error.message);
+    } finally {
+      running = false;
+    }
+  });
+}
+
+scheduleWebhookDispatch();
+
+// ==========================
+// API Endpoints
+// ==========================
+
+// Tag each request with an ID (X-Request-Id, or a generated one) that the
+// audit log records
+router.use((req, res, next) => {
+  req.requestId = req.get('X-Request-Id') || uuidv4();
+  res.set('X-Request-Id', req.requestId);
+  ledgerContext.run({ requestId: req.requestId }, next);
+});
+
+// Serve requests only once legacy amounts have been converted, so major and
+// minor units are never mixed
+router.use((req, res, next) => {
+  startLedger().then(() => next(), (err) => {
+    res.status(503).json({ error: `Ledger is starting up or failed to start: ${err.message}` });
+  });
+});
+
+// Every route requires an API key
+router.use(authenticate);
+
+// --- Ledgers API ---
+// These routes manage the ledgers themselves, so they run before a request is
+// scoped to one.
+
+// Create a ledger. Its configuration starts as version 1, copied from the
+// default ledger unless one is given.
+router.post('/ledgers', requireScope('ledgers:admin'), async (req, res) => {
+  const { ledgerId, name, config } = req.body;
+
+  if (!ledgerId || !/^[A-Za-z0-9_-]{1,64}$/.test(ledgerId) || !name) {
+    return res.status(400).json({ error: 'ledgerId (letters, digits, - and _) and name are required' });
+  }
+  if (config) {
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid configuration format', details: errors });
+    }
+  }
+
+  try {
+    const ledger = await Ledger.create({ ledger_id: ledgerId, name });
+    await ledgerContext.run({ requestId: req.requestId, ledgerId, principal: req.principal }, async () => {
+      await seedConfigVersion(config || ledgerConfig);
+      await recordAudit({ action: 'ledger.created', entityType: 'ledger', entityId: ledgerId, after: ledger });
+    });
+    await refreshLedgerConfig();
+    res.status(201).json(ledger);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: `Ledger ${ledgerId} already exists` });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List ledgers
+router.get('/ledgers', requireScope('ledgers:admin'), async (req, res) => {
+  try {
+    const ledgers = await Ledger.find().sort({ created_at: 1 });
+    res.status(200).json(ledgers);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Scope every following route to the API key's ledger. Platform keys may name
+// another ledger with the X-Ledger-Id header.
+router.use(async (req, res, next) => {
+  const ledgerId = req.get('X-Ledger-Id') || req.apiKey.ledger_id;
+
+  if (ledgerId !== req.apiKey.ledger_id && !req.scopes.includes('ledgers:admin')) {
+    return res.status(403).json({ error: 'API key does not belong to this ledger' });
+  }
+
+  try {
+    const ledger = await Ledger.findOne({ ledger_id: ledgerId });
+    if (!ledger || ledger.status !== 'Active') {
+      return res.status(404).json({ error: 'Ledger not found' });
+    }
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+
+  req.ledgerId = ledgerId;
+  ledgerContext.run({ requestId: req.requestId, ledgerId, principal: req.principal }, next);
+});
+
+// --- API Keys API ---
+
+// Keys may only grant scopes their creator holds. adjustments:approve, which
+// no key that can write entries holds, is granted by platform admins.
+function findUngrantableScopes(req, role, scopes = []) {
+  return [...(ROLE_SCOPES[role] || []), ...scopes].filter((scope) => {
+    if (scope === 'adjustments:approve' && req.scopes.includes('ledgers:admin')) {
+      return false;
+    }
+    return !req.scopes.includes(scope);
+  });
+}
+
+// Whether a key with this role and scopes would hold all the segregated scopes
+function holdsSegregatedScopes(role, scopes = []) {
+  const keyScopes = [...(ROLE_SCOPES[role] || []), ...scopes];
+  return SEGREGATED_SCOPES.every((scope) => keyScopes.includes(scope));
+}
+
+// Create an API key for the current ledger. The key is only returned here.
+router.post('/api-keys', requireScope('keys:admin'), async (req, res) => {
+  const { name, role, scopes = [], expiresAt } = req.body;
+
+  if (!name || (!role && scopes.length === 0)) {
+    return res.status(400).json({ error: 'name and a role or scopes are required' });
+  }
+  if (role && !ROLE_SCOPES[role]) {
+    return res.status(400).json({ error: `Unknown role ${role}` });
+  }
+  const unknownScopes = scopes.filter((scope) => !API_SCOPES.includes(scope));
+  if (unknownScopes.length > 0) {
+    return res.status(400).json({ error: `Unknown scopes: ${unknownScopes.join(', ')}` });
+  }
+  const ungrantable = findUngrantableScopes(req, role, scopes);
+  if (ungrantable.length > 0) {
+    return res.status(403).json({ error: `Cannot grant scopes you do not hold: ${[...new Set(ungrantable)].join(', ')}` });
+  }
+  if (holdsSegregatedScopes(role, scopes)) {
+    return res.status(400).json({ error: `A key cannot hold both ${SEGREGATED_SCOPES.join(' and ')}` });
+  }
+
+  try {
+    const { apiKey, secret } = await withTransaction(async (session) => {
+      const issued = await issueApiKey({
+        ledgerId: getLedgerId(),
+        name,
+        role,
+        scopes,
+        expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+        createdBy: describePrincipal(req.principal),
+        createdByKeyId: req.apiKey.key_id,
+      }, session);
+      await recordAudit({
+        action: 'api_key.created',
+        entityType: 'api_key',
+        entityId: issued.apiKey.key_id,
+        after: issued.apiKey.toJSON(),
+      }, session);
+      return issued;
+    });
+    res.status(201).json({ ...apiKey.toJSON(), key: secret });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List the current ledger's API keys (without secrets)
+router.get('/api-keys', requireScope('keys:admin'), async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ ledger_id: getLedgerId() }).sort({ created_at: -1 });
+    res.status(200).json(apiKeys);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rotate a key: issue a replacement with the same permissions. The old key
+// keeps working for `gracePeriodSeconds` (default 0) so clients can switch.
+router.post('/api-keys/:keyId/rotate', requireScope('keys:admin'), async (req, res) => {
+  const gracePeriodSeconds = Number(req.body.gracePeriodSeconds || 0);
+
+  if (!Number.isFinite(gracePeriodSeconds) || gracePeriodSeconds < 0) {
+    return res.status(400).json({ error: 'gracePeriodSeconds must be a non-negative number' });
+  }
+
+  try {
+    const existingKey = await ApiKey.findOne({ key_id: req.params.keyId, ledger_id: getLedgerId() });
+    if (!existingKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    if (existingKey.status !== 'Active' || existingKey.replaced_by) {
+      return res.status(409).json({ error: 'Only active keys that have not been rotated can be rotated' });
+    }
+    const ungrantable = findUngrantableScopes(req, existingKey.role, existingKey.scopes);
+    if (ungrantable.length > 0) {
+      return res.status(403).json({ error: `Cannot grant scopes you do not hold: ${[...new Set(ungrantable)].join(', ')}` });
+    }
+    if (holdsSegregatedScopes(existingKey.role, existingKey.scopes)) {
+      return res.status(409).json({
+        error: `Keys holding both ${SEGREGATED_SCOPES.join(' and ')} cannot be rotated, issue separate keys instead`,
+      });
+    }
+
+    const oldKeyExpiresAt = new Date(Date.now() + gracePeriodSeconds * 1000);
+    const { apiKey, secret } = await withTransaction(async (session) => {
+      const issued = await issueApiKey({
+        ledgerId: existingKey.ledger_id,
+        name: existingKey.name,
+        role: existingKey.role,
+        scopes: existingKey.scopes,
+        expiresAt: existingKey.expires_at,
+        createdBy: describePrincipal(req.principal),
+        createdByKeyId: req.apiKey.key_id,
+      }, session);
+
+      await ApiKey.updateOne(
+        { key_id: existingKey.key_id },
+        {
+          $set: {
+            replaced_by: issued.apiKey.key_id,
+            expires_at: existingKey.expires_at && existingKey.expires_at < oldKeyExpiresAt ? existingKey.expires_at : oldKeyExpiresAt,
+          },
+        },
+        { session }
+      );
+
+      await recordAudit({
+        action: 'api_key.rotated',
+        entityType: 'api_key',
+        entityId: existingKey.key_id,
+        before: existingKey.toJSON(),
+        after: { replaced_by: issued.apiKey.key_id, expires_at: oldKeyExpiresAt },
+      }, session);
+      return issued;
+    });
+    res.status(201).json({ ...apiKey.toJSON(), key: secret, replaces: existingKey.key_id });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Revoke a key immediately
+router.delete('/api-keys/:keyId', requireScope('keys:admin'), async (req, res) => {
+  try {
+    const apiKey = await withTransaction(async (session) => {
+      const revoked = await ApiKey.findOneAndUpdate(
+        { key_id: req.params.keyId, ledger_id: getLedgerId() },
+        { $set: { status: 'Revoked', revoked_at: new Date() } },
+        { new: true, session }
+      );
+      if (revoked) {
+        await recordAudit({
+          action: 'api_key.revoked',
+          entityType: 'api_key',
+          entityId: revoked.key_id,
+          after: revoked.toJSON(),
+        }, session);
+      }
+      return revoked;
+    });
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.status(200).json(apiKey);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Account Management Endpoints ---
+
+// Create Account
+router.post('/accounts', requireScope('accounts:write'), async (req, res) => {
+  const {
+    accountName,
+    accountCode,
+    nature,
+    accountType,
+    parentAccountId,
+    isHeader,
+    currency,
+    status,
+    metadata,
+  } = req.body;
+  const uniqueId = uuidv4();
+  try {
+    const policyFields = parseBalancePolicyInput(req.body, currency);
+    const newAccount = new Account({
+      account_number: uniqueId,
+      account_code: accountCode,
+      account_name: accountName,
+      account_type: accountType,
+      parent_account_id: parentAccountId,
+      is_header: isHeader,
+      currency: currency,
+      nature,
+      balance: 0,
+      ...policyFields,
+      status: status,
+      metadata: metadata,
+    });
+    const parent = await validateAccountPlacement(newAccount);
+    const result = await withTransaction(async (session) => {
+      const saved = await newAccount.save({ session });
+      await recordAudit({ action: 'account.created', entityType: 'account', entityId: saved.account_id, after: saved }, session);
+      await markHeaderAccount(parent, session);
+      return saved;
+    });
+    res.status(201).json(result);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: `An account named ${accountName} already exists in ${currency}` });
+    }
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
+
+// Update Account
+router.put('/accounts/:accountId', requireScope('accounts:write'), async (req, res) => {
+  const { accountId } = req.params;
+  const {
+    accountNumber,
+    accountCode,
+    accountName,
+    nature,
+    accountType,
+    parentAccountId,
+    currency,
+    status,
+    metadata,
+  } = req.body;
+
+  try {
+    const existingAccount = await Account.findOne({ account_id: accountId });
+    if (!existingAccount) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    if (existingAccount.archived_at) {
+      return res.status(409).json({ error: 'Account is archived' });
+    }
+
+    const requested = { account_type: accountType, nature, currency };
+    const changedFields = STRUCTURAL_ACCOUNT_FIELDS.filter(
+      (field) => requested[field] !== undefined && requested[field] !== existingAccount[field]
+    );
+    if (changedFields.length > 0 && await LedgerEntry.exists({ account_id: accountId })) {
+      return res.status(409).json({
+        error: `Cannot change ${changedFields.join(', ')} of account ${accountId}: it has posted entries`,
+      });
+    }
+
+    const isClosing = status === 'Closed' && existingAccount.status !== 'Closed';
+    if (isClosing) {
+      const closeError = await accountCloseError(existingAccount);
+      if (closeError) {
+        return res.status(409).json({ error: closeError });
+      }
+    }
+
+    const policyFields = parseBalancePolicyInput(req.body, currency ?? existingAccount.currency, existingAccount);
+
+    const parent = await validateAccountPlacement({
+      account_id: accountId,
+      account_code: accountCode ?? existingAccount.account_code,
+      account_type: accountType ?? existingAccount.account_type,
+      parent_account_id: parentAccountId === undefined ? existingAccount.parent_account_id : parentAccountId,
+    });
+
+    // The update only applies to the version checked above, so a posting in
+    // between (e.g. to an account being closed) makes it fail with a 409
+    const updatedAccount = await withTransaction(async (session) => {
+      const updated = await Account.findOneAndUpdate(
+        { account_id: accountId, __v: existingAccount.__v ?? null },
+        {
+          $inc: { __v: 1 },
+          account_number: accountNumber,
+          account_code: accountCode,
+          account_name: accountName,
+          nature: nature,
+          account_type: accountType,
+          parent_account_id: parentAccountId,
+          currency: currency,
+          status: status,
+          metadata: metadata,
+          ...policyFields,
+          updated_at: Date.now(),
+        },
+        { new: true, session }
+      );
+      if (updated) {
+        await recordAudit({
+          action: 'account.updated',
+          entityType: 'account',
+          entityId: accountId,
+          before: existingAccount,
+          after: updated,
+        }, session);
+        await markHeaderAccount(parent, session);
+      }
+      return updated;
+    });
+    if (!updatedAccount) {
+      return res.status(409).json({ error: `Account ${accountId} was modified concurrently, please retry` });
+    }
+    res.status(200).json(updatedAccount);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: `An account named ${accountName} already exists in this currency` });
+    }
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
+
+// Archive an account: it is closed and kept for its history. Only accounts
+// with a zero balance and no open child accounts can be archived.
+router.delete('/accounts/:accountId', requireScope('accounts:write'), async (req, res) => {
+  const { accountId } = req.params;
+
+  try {
+    const account = await Account.findOne({ account_id: accountId });
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    if (account.archived_at) {
+      return res.status(409).json({ error: 'Account is already archived' });
+    }
+
+    const closeError = await accountCloseError(account);
+    if (closeError) {
+      return res.status(409).json({ error: closeError });
+    }
+
+    const archivedAccount = await withTransaction(async (session) => {
+      const archived = await Account.findOneAndUpdate(
+        { account_id: accountId, __v: account.__v ?? null },
+        { $set: { status: 'Closed', archived_at: new Date(), updated_at: Date.now() }, $inc: { __v: 1 } },
+        { new: true, session }
+      );
+      if (archived) {
+        await recordAudit({
+          action: 'account.archived',
+          entityType: 'account',
+          entityId: accountId,
+          before: account,
+          after: archived,
+        }, session);
+      }
+      return archived;
+    });
+    if (!archivedAccount) {
+      return res.status(409).json({ error: `Account ${accountId} was modified concurrently, please retry` });
+    }
+    res.status(200).json(archivedAccount);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get the chart of accounts as a tree with balances rolled up per subtree,
+// optionally converted into a single reporting currency
+router.get('/accounts/tree', requireScope('accounts:read'), async (req, res) => {
+  const { accountType, reportingCurrency } = req.query;
+  const filter = {};
+
+  if (accountType) filter.account_type = accountType;
+
+  try {
+    const accounts = await Account.find(filter).sort({ account_code: 1, account_name: 1 });
+    const tree = await runWithLedgerContextAt(new Date(), () => buildAccountTree(
+      accounts.map((account) => buildReportLine(account, account.balance, reportingCurrency))
+    ));
+
+    res.status(200).json({
+      reporting_currency: reportingCurrency || null,
+      accounts: tree.map(serializeTreeNode),
+    });
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
+
+// Get Account Details
+router.get('/accounts/:accountId', requireScope('accounts:read'), async (req, res) => {
+  const { accountId } = req.params;
+
+  try {
+    const account = await Account.findOne({ account_id: accountId });
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    res.status(200).json(account);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get Account Balance as of a point in time
+router.get('/accounts/:accountId/balance', requireScope('accounts:read'), async (req, res) => {
+  const { accountId } = req.params;
+
+  try {
+    const asOf = parseDateParam(req.query.asOf, 'asOf', new Date());
+    const account = await Account.findOne({ account_id: accountId });
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const { balance, snapshotAsOf } = await computeBalanceAsOf(account, asOf);
+    const body = {
+      account_id: account.account_id,
+      currency: account.currency,
+      nature: account.nature,
+      as_of: asOf,
+      balance: fromMinorUnits(balance, account.currency),
+      snapshot_as_of: snapshotAsOf,
+    };
+
+    // Holds are only tracked as they stand now
+    if (!req.query.asOf) {
+      const { pending, available } = accountBalances(account);
+      body.pending_balance = fromMinorUnits(pending, account.currency);
+      body.available_balance = fromMinorUnits(available, account.currency);
+    }
+    res.status(200).json(body);
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
+
+// Get Account Statement for a date range
+router.get('/accounts/:accountId/statement', requireScope('accounts:read'), paginate(500), async (req, res) => {
+  const { accountId } = req.params;
+  const { page, pageSize } = req.pagination;
+
+  try {
+    const from = parseDateParam(req.query.from, 'from');
+    const to = parseDateParam(req.query.to, 'to', new Date());
+    const account = await Account.findOne({ account_id: accountId });
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const statement = await buildAccountStatement(account, {
+      from,
+      to,
+      page,
+      pageSize,
+    });
+    res.status(200).json(statement);
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
+
+// List Accounts
+router.get('/accounts', requireScope('accounts:read'), async (req, res) => {
+  const { accountType, currency, status } = req.query;
+  const filter = {};
+
+  if (accountType) filter.account_type = accountType;
+  if (currency) filter.currency = currency;
+  if (status) filter.status = status;
+
+  try {
+    const accounts = await Account.find(filter);
+    res.status(200).json(accounts);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Accounting Entries API ---
+
+// 1. Create Accounting Entries
+router.post('/accounting-entries', requireScope('entries:write'), async (req, res) => {
+  const { transactionId, eventId, entries, timestamp: timestampInput } = req.body;
+
+  // Validate entries
+  if (!entries || !Array.isArray(entries) || entries.length < 2) {
+    return res.status(400).json({ error: 'At least two entries are required' });
+  }
+
+  // Optional posting date, e.g. to post an adjustment into an open past period
+  const timestamp = timestampInput ? new Date(timestampInput) : new Date();
+  if (Number.isNaN(timestamp.getTime())) {
+    return res.status(400).json({ error: 'Invalid timestamp' });
+  }
+  // Future postings would land in periods that have not started and skew
+  // the as-of balances up to then
+  if (timestamp.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+    return res.status(400).json({ error: 'timestamp cannot be in the future' });
+  }
+
+  const entryGroupId = uuidv4();
+  let totalDebits = 0;
+  let totalCredits = 0;
+  const ledgerEntries = [];
+
+  try {
+    // Process entries
+    for (const entry of entries) {
+      const { accountId, entryType, amount, currency, description, metadata } = entry;
+
+      if (!accountId || !entryType || !amount || !currency) {
+        return res.status(400).json({ error: 'Invalid entry data' });
+      }
+
+      let amountMinor;
+      try {
+        amountMinor = toPositiveMinorUnits(amount, currency);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      const ledgerEntry = new LedgerEntry({
+        entry_id: uuidv4(),
+        entryGroupId,
+        transaction_id: transactionId,
+        event_id: eventId,
+        account_id: accountId,
+        entry_type: entryType,
+        amount: amountMinor,
+        currency,
+        description,
+        metadata,
+        timestamp,
+      });
+
+      ledgerEntries.push(ledgerEntry);
+
+      // Update totals
+      if (entryType === 'Debit') {
+        totalDebits += amountMinor;
+      } else if (entryType === 'Credit') {
+        totalCredits += amountMinor;
+      } else {
+        return res.status(400).json({ error: 'Invalid entry type' });
+      }
+    }
+
+    // Validate that debits equal credits
+    if (totalDebits !== totalCredits) {
+      return res.status(400).json({ error: 'Total debits must equal total credits' });
+    }
+
+    // Save entries and update account balances in a single transaction
+    await withTransaction((session) => postLedgerEntries(ledgerEntries, session));
+
+    res.status(201).json({
+      entryGroupId,
+      entries: ledgerEntries,
+    });
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
+
+// 2. Retrieve Accounting Entry
+router.get('/accounting-entries/:entryId', requireScope('entries:read'), async (req, res) => {
+  const { entryId } = req.params;
+ 
+  try {
+    const entry = await LedgerEntry.findOne({ entry_id: entryId });
+    if (!entry) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
+    res.status(200).json(entry);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 3. List Accounting Entries
+router.get('/accounting-entries', requireScope('entries:read'), async (req, res) => {
+  const {
+    accountId,
+    transactionId,
+    eventId,
+    entryType,
+    startDate,
+    endDate,
+    isReversal,
+    page = 1,
+    pageSize = 50,
+  } = req.query;
+
+  const filter = {};
+  if (accountId) filter.account_id = accountId;
+  if (transactionId) filter.transaction_id = transactionId;
+  if (eventId) filter.event_id = eventId;
+  if (entryType) filter.entry_type = entryType;
+  if (isReversal !== undefined) filter.isReversal = isReversal === 'true';
+
+  if (startDate) filter.timestamp = { $gte: new Date(startDate) };
+  if (endDate) {
+    filter.timestamp = filter.timestamp || {};
+    filter.timestamp.$lte = new Date(endDate);
+  }
+
+  try {
+    const totalEntries = await LedgerEntry.countDocuments(filter);
+    const totalPages = Math.ceil(totalEntries / pageSize);
+    const entries = await LedgerEntry.find(filter)
+      .skip((page - 1) * pageSize)
+      .limit(Number(pageSize));
+
+    res.status(200).json({
+      entries,
+      pagination: {
+        page: Number(page),
+        pageSize: Number(pageSize),
+        totalPages,
+        totalEntries,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 4. Reverse Accounting Entries
+router.post('/accounting-entries/:entryGroupId/reverse', requireScope('entries:write'), async (req, res) => {
+  const { entryGroupId } = req.params;
+
+  try {
+    const originalEntries = await LedgerEntry.find({ entryGroupId });
+    if (!originalEntries || originalEntries.length === 0) {
+      return res.status(404).json({ error: 'Entry group not found' });
+    }
+
+    // Check if entries have already been reversed
+    const alreadyReversed = originalEntries.some((entry) => entry.isReversed);
+    if (alreadyReversed) {
+      return res.status(409).json({ error: 'This entry group has already been reversed', code: 'ALREADY_REVERSED' });
+    }
+
+    const reversalEntryGroupId = uuidv4();
+    const reversalEntries = [];
+
+    for (const originalEntry of originalEntries) {
+      const account = await Account.findOne({ account_id: originalEntry.account_id });
+      if (!account) {
+        throw new Error(`Account with ID ${originalEntry.account_id} not found`);
+      }
+
+      let reversalAmount = originalEntry.amount;
+      let reversalCurrency = originalEntry.currency;
+      let reversalFx;
+
+      // If the account currency doesn't match the entry currency, convert the
+      // amount at the rate that applied when the original entry was posted
+      if (account.currency !== originalEntry.currency) {
+        const fxQuote = await getExchangeRateQuoteAsOf(originalEntry.currency, account.currency, originalEntry.timestamp);
+        reversalFx = fxMetadata(fxQuote, originalEntry.currency, account.currency);
+        reversalAmount = convertCurrency(originalEntry.amount, originalEntry.currency, account.currency, fxQuote.rate);
+        reversalCurrency = account.currency;
+      }
+
+      // The reversal gets its own posting date
+      const { requested_posting_date: _requestedPostingDate, ...originalMetadata } = originalEntry.metadata || {};
+
+      const reversalEntry = new LedgerEntry({
+        entry_id: uuidv4(),
+        entryGroupId: reversalEntryGroupId,
+        transaction_id: originalEntry.transaction_id,
+        event_id: originalEntry.event_id,
+        account_id: originalEntry.account_id,
+        entry_type: originalEntry.entry_type === 'Debit' ? 'Credit' : 'Debit',
+        amount: reversalAmount,
+        currency: reversalCurrency,
+        description: `Reversal of entry ${originalEntry.entry_id}`,
+        metadata: {
+          ...originalMetadata,
+          originalEntryId: originalEntry.entry_id,
+          originalAmount: originalEntry.amount,
+          originalCurrency: originalEntry.currency,
+          reversalReason: req.body.reversalReason || 'Not specified',
+          exchangeRate: reversalFx ? reversalFx.rate : 1,
+          ...(reversalFx && { fx: reversalFx }),
+        },
+        isReversal: true,
+        originalEntryId: originalEntry.entry_id,
+      });
+      reversalEntries.push(reversalEntry);
+    }
+
+    await withTransaction(async (session) => {
+      // Mark the original entries as reversed; the isReversed guard makes a
+      // concurrent reversal of the same group fail instead of double-posting
+      const { modifiedCount } = await LedgerEntry.updateMany(
+        { entryGroupId, isReversed: false },
+        { $set: { isReversed: true } },
+        { session }
+      );
+      if (modifiedCount !== originalEntries.length) {
+        throw new LedgerError('This entry group has already been reversed', { status: 409, code: 'ALREADY_REVERSED' });
+      }
+      await recordAudit({
+        action: 'entries.reversed',
+        entityType: 'entry_group',
+        entityId: entryGroupId,
+        before: { isReversed: false },
+        after: { isReversed: true, reversal_entry_group_id: reversalEntryGroupId, reason: req.body.reversalReason },
+      }, session);
+      await writeOutboxEvent('entry_group.reversed', entryGroupId, {
+        entry_group_id: entryGroupId,
+        reversal_entry_group_id: reversalEntryGroupId,
+        transaction_id: originalEntries[0].transaction_id,
+        reason: req.body.reversalReason || 'Not specified',
+      }, session);
+
+      // Save reversal entries and update account balances
+      await postLedgerEntries(reversalEntries, session);
+    });
+
+    res.status(201).json({
+      reversalEntryGroupId,
+      reversalEntries,
+    });
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
+
+// --- Holds API ---
+
+// Place a manual hold on available funds: { accountId, amount, reason, expiresAt? }
+router.post('/holds', requireScope('entries:write'), async (req, res) => {
+  const { accountId, amount, reason, expiresAt: expiresAtInput } = req.body;
+
+  if (!accountId || !amount || !reason) {
+    return res.status(400).json({ error: 'accountId, amount and reason are required' });
+  }
+
+  const expiresAt = expiresAtInput ? new Date(expiresAtInput) : undefined;
+  if (expiresAt && Number.isNaN(expiresAt.getTime())) {
+    return res.status(400).json({ error: 'Invalid expiresAt' });
+  }
+
+  try {
+    const account = await Account.findOne({ account_id: accountId });
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const holdAmount = toMinorUnits(amount, account.currency);
+    if (holdAmount <= 0) {
+      return res.status(400).json({ error: 'amount must be positive' });
+    }
+
+    // A hold reserves funds, so it pends the entry that would lower the balance
+    const holds = await withTransaction((session) => placeHolds([{
+      account_id: account.account_id,
+      entry_type: account.nature === 'Debit' ? 'Credit' : 'Debit',
+      amount: holdAmount,
+      currency: account.currency,
+    }], { kind: 'manual', reason, expiresAt }, session));
+
+    res.status(201).json(holds[0]);
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
+
+// List holds, newest first
+router.get('/holds', requireScope('entries:read'), async (req, res) => {
+  const { accountId, transactionId, status, kind, page = 1, pageSize = 50 } = req.query;
+
+  const filter = {};
+  if (accountId) filter.account_id = accountId;
+  if (transactionId) filter.transaction_id = transactionId;
+  if (status) filter.status = status;
+  if (kind) filter.kind = kind;
+
+  try {
+    const totalHolds = await Hold.countDocuments(filter);
+    const holds = await Hold.find(filter)
+      .sort({ created_at: -1 })
+      .skip((page - 1) * pageSize)
+      .limit(Number(pageSize));
+
+    res.status(200).json({
+      holds,
+      pagination: {
+        page: Number(page),
+        pageSize: Number(pageSize),
+        totalPages: Math.ceil(totalHolds / pageSize),
+        totalHolds,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get a hold
+router.get('/holds/:holdId', requireScope('entries:read'), async (req, res) => {
+  try {
+    const hold = await Hold.findOne({ hold_id: req.params.holdId });
+    if (!hold) {
+      return res.status(404).json({ error: 'Hold not found' });
+    }
+    res.status(200).json(hold);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Release a manual hold. Authorizations are released with an
+// AuthorizationVoided event or by their capture.
+router.post('/holds/:holdId/release', requireScope('entries:write'), async (req, res) => {
+  try {
+    const hold = await Hold.findOne({ hold_id: req.params.holdId });
+    if (!hold) {
+      return res.status(404).json({ error: 'Hold not found' });
+    }
+    if (hold.kind !== 'manual') {
+      return res.status(409).json({ error: 'Authorization holds are released by voiding or capturing the payment' });
+    }
+
+    const released = await withTransaction((session) => resolveHoldGroup(hold.hold_group_id, 'Released', {}, session));
+    if (released.length === 0) {
+      return res.status(409).json({ error: `Hold ${hold.hold_id} is already ${hold.status.toLowerCase()}` });
+    }
+
+    res.status(200).json(await Hold.findOne({ hold_id: hold.hold_id }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Adjustments API ---
+
+
+// Propose an adjustment: { reason, entries, transactionId?, timestamp? }
+router.post('/adjustments', requireScope('entries:write'), async (req, res) => {
+  const { reason, entries, transactionId, timestamp: timestampInput } = req.body;
+
+  if (!reason) {
+    return res.status(400).json({ error: 'An adjustment requires a reason' });
+  }
+  const timestamp = timestampInput ? new Date(timestampInput) : undefined;
+  if (timestamp && Number.isNaN(timestamp.getTime())) {
+    return res.status(400).json({ error: 'Invalid timestamp' });
+  }
+  if (timestamp && timestamp.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+    return res.status(400).json({ error: 'timestamp cannot be in the future' });
+  }
+
+  try {
+    const adjustment = new Adjustment({
+      reason,
+      transaction_id: transactionId,
+      timestamp,
+      entries: await buildAdjustmentEntries(entries),
+    });
+    await withTransaction(async (session) => {
+      await adjustment.save({ session });
+      await recordAudit({
+        action: 'adjustment.proposed',
+        entityType: 'adjustment',
+        entityId: adjustment.adjustment_id,
+        after: adjustment,
+      }, session);
+    });
+    res.status(201).json(adjustment);
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
+
+// List adjustments, newest first
+router.get('/adjustments', requireScope('entries:read'), async (req, res) => {
+  const { status } = req.query;
+  const filter = {};
+
+  if (status) filter.status = status;
+
+  try {
+    const adjustments = await Adjustment.find(filter).sort({ created_at: -1 });
+    res.status(200).json(adjustments);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get an adjustment
+router.get('/adjustments/:adjustmentId', requireScope('entries:read'), async (req, res) => {
+  try {
+    const adjustment = await Adjustment.findOne({ adjustment_id: req.params.adjustmentId });
+    if (!adjustment) {
+      return res.status(404).json({ error: 'Adjustment not found' });
+    }
+    res.status(200).json(adjustment);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Approve an adjustment, posting its entries
+router.post('/adjustments/:adjustmentId/approve', requireScope('adjustments:approve'), async (req, res) => {
+  // Keys issued before the scopes were segregated may still hold both
+  if (req.scopes.includes('entries:write')) {
+    return res.status(403).json({ error: 'Keys that can write entries cannot approve adjustments' });
+  }
+
+  try {
+    const adjustment = await approveAdjustment(req.params.adjustmentId, {
+      principal: req.principal,
+      approverKey: req.apiKey,
+      reason: req.body.reason,
+    });
+    res.status(200).json(adjustment);
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
+
+// Reject an adjustment; nothing is posted
+router.post('/adjustments/:adjustmentId/reject', requireScope('adjustments:approve'), async (req, res) => {
+  const { adjustmentId } = req.params;
+  const { reason } = req.body;
+
+  if (!reason) {
+    return res.status(400).json({ error: 'Rejecting an adjustment requires a reason' });
+  }
+
+  try {
+    const adjustment = await withTransaction(async (session) => {
+      const rejected = await Adjustment.findOneAndUpdate(
+        { adjustment_id: adjustmentId, status: 'Proposed' },
+        { $set: { status: 'Rejected', decided_by: req.principal, decision_reason: reason, decided_at: new Date() } },
+        { new: true, session }
       );
-      totalDebits += totalAmountInSettlementCurrency;
+      if (rejected) {
+        await recordAudit({
+          action: 'adjustment.rejected',
+          entityType: 'adjustment',
+          entityId: adjustmentId,
+          before: { status: 'Proposed' },
+          after: { status: 'Rejected', reason },
+        }, session);
+      }
+      return rejected;
+    });
+    if (!adjustment) {
+      const existing = await Adjustment.findOne({ adjustment_id: adjustmentId });
+      if (!existing) {
+        return res.status(404).json({ error: 'Adjustment not found' });
+      }
+      return res.status(409).json({ error: `Adjustment ${adjustmentId} is already ${existing.status.toLowerCase()}` });
+    }
+    res.status(200).json(adjustment);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Bank Reconciliation API ---
+
+
+// Import a statement for a Cash account. The file is the request body;
+// ?format=csv|camt053|mt940 and ?accountId (or ?currency for "Cash - {currency}").
+router.post(
+  '/bank-statements',
+  requireScope('reconciliation:write'),
+  express.text({ type: ['text/csv', 'text/plain', 'application/xml', 'text/xml'], limit: '10mb' }),
+  async (req, res) => {
+    const { format, accountId, currency } = req.query;
+
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ error: 'The statement file must be sent as the request body' });
+    }
+
+    try {
+      const account = accountId
+        ? await Account.findOne({ account_id: accountId })
+        : await Account.findOne({ account_name: `Cash - ${currency}`, currency });
+      if (!account) {
+        return res.status(404).json({ error: 'Account not found' });
+      }
+      if (!isCashAccount(account)) {
+        return res.status(400).json({ error: `Account ${account.account_id} is not a Cash account` });
+      }
+
+      const result = await importBankStatement({ account, format, content: req.body });
+      res.status(201).json(result);
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({ error: 'This statement has already been imported' });
+      }
+      res.status(errorStatus(err)).json(errorBody(err));
+    }
+  }
+);
+
+// List imported statements, newest first
+router.get('/bank-statements', requireScope('reconciliation:read'), async (req, res) => {
+  const { accountId } = req.query;
+  const filter = {};
+
+  if (accountId) filter.account_id = accountId;
+
+  try {
+    const statements = await BankStatement.find(filter).sort({ statement_date: -1 });
+    res.status(200).json(statements);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get a statement with its lines
+router.get('/bank-statements/:statementId', requireScope('reconciliation:read'), async (req, res) => {
+  try {
+    const statement = await BankStatement.findOne({ statement_id: req.params.statementId });
+    if (!statement) {
+      return res.status(404).json({ error: 'Bank statement not found' });
+    }
+    const lines = await BankStatementLine.find({ statement_id: statement.statement_id }).sort({ line_number: 1 });
+    res.status(200).json({ ...statement.toJSON(), lines });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Re-run automatic matching, e.g. after missing entries were posted
+router.post('/bank-statements/:statementId/auto-match', requireScope('reconciliation:write'), async (req, res) => {
+  try {
+    const statement = await BankStatement.findOne({ statement_id: req.params.statementId });
+    if (!statement) {
+      return res.status(404).json({ error: 'Bank statement not found' });
+    }
+    const result = await autoMatchStatement(statement);
+    res.status(200).json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Manually match a statement line: { entryIds: [...] }
+router.post('/reconciliation/lines/:lineId/match', requireScope('reconciliation:write'), async (req, res) => {
+  const { entryIds } = req.body;
+
+  if (!Array.isArray(entryIds) || entryIds.length === 0) {
+    return res.status(400).json({ error: 'entryIds must be a non-empty array' });
+  }
+
+  try {
+    const line = await matchStatementLine(req.params.lineId, entryIds, 'manual');
+    res.status(200).json(line);
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
+
+// Undo a match
+router.post('/reconciliation/lines/:lineId/unmatch', requireScope('reconciliation:write'), async (req, res) => {
+  try {
+    const line = await unmatchStatementLine(req.params.lineId);
+    res.status(200).json(line);
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
+
+// Unmatched items on both sides for a Cash account
+router.get('/reconciliation/report', requireScope('reconciliation:read'), async (req, res) => {
+  const { accountId } = req.query;
+
+  try {
+    const from = parseDateParam(req.query.from, 'from');
+    const to = parseDateParam(req.query.to, 'to', new Date());
+    const account = await Account.findOne({ account_id: accountId });
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    if (!isCashAccount(account)) {
+      return res.status(400).json({ error: `Account ${account.account_id} is not a Cash account` });
+    }
+
+    const report = await buildReconciliationReport(account, { from, to });
+    res.status(200).json(report);
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
+
+// --- Webhooks API ---
+
+// Fields of a webhook endpoint that clients may set
+function pickWebhookEndpointFields(body) {
+  const fields = {};
+  if (body.url !== undefined) fields.url = body.url;
+  if (body.eventTypes !== undefined) fields.event_types = body.eventTypes;
+  if (body.description !== undefined) fields.description = body.description;
+  if (body.status !== undefined) fields.status = body.status;
+  return fields;
+}
+
+function validateWebhookEndpointFields(fields) {
+  if (fields.url !== undefined) {
+    validateWebhookUrl(fields.url);
+  }
+  if (fields.event_types !== undefined) {
+    if (!Array.isArray(fields.event_types)) {
+      throw new LedgerError('Invalid webhook event types: eventTypes must be an array', {
+        code: 'INVALID_WEBHOOK_ENDPOINT',
+      });
+    }
+    const unknown = fields.event_types.filter((eventType) => !WEBHOOK_EVENT_TYPES.includes(eventType));
+    if (unknown.length > 0) {
+      throw new LedgerError(`Invalid webhook event types: ${unknown.join(', ')}`, { code: 'INVALID_WEBHOOK_ENDPOINT' });
+    }
+  }
+  if (fields.status !== undefined && !['Active', 'Disabled'].includes(fields.status)) {
+    throw new LedgerError(`Invalid webhook endpoint status ${fields.status}`, { code: 'INVALID_WEBHOOK_ENDPOINT' });
+  }
+}
+
+// Register an endpoint: { url, eventTypes?, description?, secret? }. The
+// signing secret is only returned here. Events that were already dispatched
+// to other endpoints are not sent; replay them with `from` to backfill.
+router.post('/webhook-endpoints', requireScope('webhooks:admin'), async (req, res) => {
+  const fields = pickWebhookEndpointFields(req.body);
+
+  try {
+    validateWebhookEndpointFields(fields);
+    if (!fields.url) {
+      return res.status(400).json({ error: 'url is required' });
+    }
+
+    const endpoint = new WebhookEndpoint({
+      ...fields,
+      secret: req.body.secret || generateWebhookSecret(),
+      created_by: describePrincipal(req.principal),
+    });
+    await withTransaction(async (session) => {
+      await endpoint.save({ session });
+      await recordAudit({
+        action: 'webhook_endpoint.created',
+        entityType: 'webhook_endpoint',
+        entityId: endpoint.endpoint_id,
+        after: endpoint.toJSON(),
+      }, session);
+    });
+
+    res.status(201).json({ ...endpoint.toJSON(), secret: endpoint.secret });
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
+
+// List webhook endpoints
+router.get('/webhook-endpoints', requireScope('webhooks:read'), async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({}).sort({ created_at: -1 });
+    res.status(200).json(endpoints);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get a webhook endpoint
+router.get('/webhook-endpoints/:endpointId', requireScope('webhooks:read'), async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findOne({ endpoint_id: req.params.endpointId });
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook endpoint not found' });
+    }
+    res.status(200).json(endpoint);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update a webhook endpoint: { url?, eventTypes?, description?, status? }
+router.put('/webhook-endpoints/:endpointId', requireScope('webhooks:admin'), async (req, res) => {
+  const fields = pickWebhookEndpointFields(req.body);
+
+  try {
+    validateWebhookEndpointFields(fields);
+    const endpoint = await WebhookEndpoint.findOne({ endpoint_id: req.params.endpointId });
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook endpoint not found' });
+    }
+
+    const before = endpoint.toJSON();
+    endpoint.set({ ...fields, updated_at: new Date() });
+    await withTransaction(async (session) => {
+      await endpoint.save({ session });
+      await recordAudit({
+        action: 'webhook_endpoint.updated',
+        entityType: 'webhook_endpoint',
+        entityId: endpoint.endpoint_id,
+        before,
+        after: endpoint.toJSON(),
+      }, session);
+    });
+
+    res.status(200).json(endpoint);
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
+
+// Disable a webhook endpoint. Its pending deliveries are dead-lettered when
+// next attempted and can be replayed if the endpoint is enabled again.
+router.delete('/webhook-endpoints/:endpointId', requireScope('webhooks:admin'), async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findOne({ endpoint_id: req.params.endpointId });
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook endpoint not found' });
+    }
+
+    endpoint.set({ status: 'Disabled', updated_at: new Date() });
+    await withTransaction(async (session) => {
+      await endpoint.save({ session });
+      await recordAudit({
+        action: 'webhook_endpoint.disabled',
+        entityType: 'webhook_endpoint',
+        entityId: endpoint.endpoint_id,
+        before: { status: 'Active' },
+        after: { status: 'Disabled' },
+      }, session);
+    });
+
+    res.status(200).json(endpoint);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Replay deliveries to an endpoint: { status: 'DeadLetter' } requeues its
+// deliveries in that status; { from, to } resends every outbox event in the range
+router.post('/webhook-endpoints/:endpointId/replay', requireScope('webhooks:admin'), async (req, res) => {
+  const { status } = req.body;
+
+  try {
+    const endpoint = await WebhookEndpoint.findOne({ endpoint_id: req.params.endpointId });
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook endpoint not found' });
+    }
+
+    let replayed;
+    if (status) {
+      if (!['Delivered', 'DeadLetter'].includes(status)) {
+        return res.status(400).json({ error: 'status must be Delivered or DeadLetter' });
+      }
+      replayed = await replayWebhookDeliveries({ endpoint_id: endpoint.endpoint_id, status });
+    } else {
+      const from = parseDateParam(req.body.from, 'from');
+      const to = parseDateParam(req.body.to, 'to', new Date());
+      if (!from) {
+        return res.status(400).json({ error: 'Either status or from is required' });
+      }
+      replayed = await replayOutboxEvents(endpoint, { from, to });
+    }
+
+    await recordAudit({
+      action: 'webhook_endpoint.replayed',
+      entityType: 'webhook_endpoint',
+      entityId: endpoint.endpoint_id,
+      after: { status, from: req.body.from, to: req.body.to, replayed },
+    });
+    res.status(200).json({ replayed });
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
+
+// List deliveries, newest first
+router.get('/webhook-deliveries', requireScope('webhooks:read'), async (req, res) => {
+  const { endpointId, status, eventType, outboxId, page = 1, pageSize = 50 } = req.query;
+
+  const filter = {};
+  if (endpointId) filter.endpoint_id = endpointId;
+  if (status) filter.status = status;
+  if (eventType) filter.event_type = eventType;
+  if (outboxId) filter.outbox_id = outboxId;
+
+  try {
+    const totalDeliveries = await WebhookDelivery.countDocuments(filter);
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ created_at: -1 })
+      .skip((page - 1) * pageSize)
+      .limit(Number(pageSize));
+
+    res.status(200).json({
+      deliveries,
+      pagination: {
+        page: Number(page),
+        pageSize: Number(pageSize),
+        totalPages: Math.ceil(totalDeliveries / pageSize),
+        totalDeliveries,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-      // Credit Merchant Payable
-      ledgerEntries.push({
-        account_id: (await findOrCreateAccount({
-          account_name: `Merchant Payable - ${merchantId}`,
-          currency: settlementCurrency,
-          account_type: 'Liability',
-          nature: 'Credit',
-        })).account_id,
-        entry_type: 'Credit',
-        amount: totalAmountInSettlementCurrency - transactionFeeInSettlementCurrency - fxFee,
-        currency: settlementCurrency,
-        description: `Liability to pay the merchant ${merchantId}`,
-      });
-      totalCredits += totalAmountInSettlementCurrency - transactionFeeInSettlementCurrency - fxFee;
+// Requeue one delivery for immediate sending
+router.post('/webhook-deliveries/:deliveryId/replay', requireScope('webhooks:admin'), async (req, res) => {
+  try {
+    const replayed = await replayWebhookDeliveries({ delivery_id: req.params.deliveryId });
+    if (replayed === 0) {
+      return res.status(404).json({ error: 'Webhook delivery not found' });
+    }
+    await recordAudit({
+      action: 'webhook_delivery.replayed',
+      entityType: 'webhook_delivery',
+      entityId: req.params.deliveryId,
+    });
+    const delivery = await WebhookDelivery.findOne({ delivery_id: req.params.deliveryId });
+    res.status(200).json(delivery);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-      // Credit Transaction Fee Revenue
-      ledgerEntries.push({
-        account_id: (await findOrCreateAccount({
-          ...ledgerConfig.accounts.revenue.transaction_fees,
-          currency: settlementCurrency
-        })).account_id,
-        entry_type: 'Credit',
-        amount: transactionFeeInSettlementCurrency,
-        currency: settlementCurrency,
-        description: 'Transaction fee revenue',
-      });
-      totalCredits += transactionFeeInSettlementCurrency;
+// Run the dispatcher for this ledger now instead of waiting for the schedule
+router.post('/webhooks/dispatch', requireScope('webhooks:admin'), async (req, res) => {
+  try {
+    const result = await dispatchWebhooks();
+    res.status(200).json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-      // Add FX fee entry if applicable
-      if (fxFee > 0) {
-        ledgerEntries.push({
-          account_id: (await findOrCreateAccount({
-            ...ledgerConfig.accounts.revenue.fx_fees,
-            currency: settlementCurrency
-          })).account_id,
-          entry_type: 'Credit',
-          amount: fxFee,
-          currency: settlementCurrency,
-          description: 'FX fee revenue',
-        });
-        totalCredits += fxFee;
-      }
+// --- Rule Processing Flow ---
 
-      console.log('Ledger entries:', JSON.stringify(ledgerEntries, null, 2));
-      console.log(`Total Debits: ${totalDebits.toFixed(2)}, Total Credits: ${totalCredits.toFixed(2)}`);
+// How long a request may hold an idempotency key before a retry may take it over
+const IDEMPOTENCY_LOCK_TIMEOUT_MS = 2 * 60 * 1000;
 
-      // Ensure balance
-      if (Math.abs(totalDebits - totalCredits) > 0.001) {
-        throw new Error(`Ledger entries are not balanced. Debits: ${totalDebits.toFixed(2)}, Credits: ${totalCredits.toFixed(2)}`);
-      }
+// Errors caused by the request itself: LedgerErrors with a 4xx status. Any
+// other error is unexpected and returned as a 500.
+function isClientError(err) {
+  return err instanceof LedgerError && err.status < 500;
+}
 
-      break;
+// HTTP status for an error
+function errorStatus(err) {
+  return err instanceof LedgerError ? err.status : 500;
+}
 
-    case 'PaymentRefunded':
-      // Ensure required fields are present
-      if (!payload.amount || !payload.currency || !payload.merchantId) {
-        throw new Error('Missing required fields in payload for PaymentRefunded');
-      }
+// Response body for an error; LedgerErrors carry a code and details
+function errorBody(err) {
+  if (err instanceof LedgerError) {
+    return { error: err.message, code: err.code, details: err.details };
+  }
+  return { error: err.message };
+}
 
-      // Fetch necessary accounts
-      const merchantPayableAccountRefund = await findOrCreateAccount({
-        account_name: `Merchant Payable - ${payload.merchantId}`,
-        currency: payload.currency,
-        account_type: 'Liability',
-        nature: 'Credit',
-      });
+// The Idempotency-Key header wins; otherwise the client's event_id is used.
+// A transaction_id is not a key: one transaction legitimately has several
+// events of a type, such as partial refunds or successive disputes.
+function getIdempotencyKey(req) {
+  const { payload = {} } = req.body;
+  const headerKey = req.get('Idempotency-Key');
 
-      // Check if merchant has sufficient funds
-      if (merchantPayableAccountRefund.balance < payload.amount) {
-        throw new Error('Insufficient funds in merchant account for refund');
-      }
+  if (headerKey) return `key:${headerKey}`;
+  if (payload.event_id) return `event:${payload.event_id}`;
+  return undefined;
+}
 
-      const cashAccountRefund = await findOrCreateAccount({
-        account_name: `Cash - ${payload.currency}`,
-        currency: payload.currency,
-        account_type: 'Asset',
-        nature: 'Debit',
-      });
+// Recursively sort object keys so equivalent payloads hash identically
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = canonicalize(value[key]);
+      return sorted;
+    }, {});
+  }
+  return value;
+}
 
-      // Create ledger entries
-      ledgerEntries.push(
-        // Debit Merchant Payable (Liability decrease)
-        {
-          account_id: merchantPayableAccountRefund.account_id,
-          entry_type: 'Debit',
-          amount: payload.amount,
-          currency: payload.currency,
-          description: `Refund to customer for merchant ${payload.merchantId}`,
-          metadata: { ...payload.metadata, refundType: 'Full' }
-        },
-        // Credit Cash (Asset decrease)
-        {
-          account_id: cashAccountRefund.account_id,
-          entry_type: 'Credit',
-          amount: payload.amount,
-          currency: payload.currency,
-          description: `Cash refunded to customer ${payload.customerId || ''}`,
-          metadata: { ...payload.metadata, refundType: 'Full' }
-        }
-      );
+function hashEventRequest(eventType, payload) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(canonicalize({ eventType, payload })))
+    .digest('hex');
+}
 
-      // Calculate totals
-      ledgerEntries.forEach(entry => {
-        if (entry.entry_type === 'Debit') {
-          totalDebits += entry.amount;
-        } else {
-          totalCredits += entry.amount;
-        }
+// Events of one merchant (or account, or transaction) are queued under one
+// key. An event that only names its transaction, such as a refund, takes the
+// key of the transaction's first event so that it waits for the capture.
+// Clients may pass `orderingKey` to group events themselves.
+async function getEventOrderingKey({ eventType, payload = {}, orderingKey }) {
+  if (orderingKey) return `key:${orderingKey}`;
+  if (payload.merchantId) return `merchant:${payload.merchantId}`;
+  if (payload.accountId) return `account:${payload.accountId}`;
+  if (payload.transaction_id) {
+    const first = await Event.findOne({ 'payload.transaction_id': payload.transaction_id, ordering_key: { $type: 'string' } })
+      .sort({ created_at: 1 })
+      .select('ordering_key');
+    return first?.ordering_key || `transaction:${payload.transaction_id}`;
+  }
+  return `event_type:${eventType}`;
+}
+
+// Persist the Event that owns the idempotency key. The unique index on
+// idempotency_key makes concurrent duplicates fail here; in that case the
+// Event already holding the key is returned as `existing`.
+async function claimIdempotencyKey(eventType, payload, idempotencyKey, requestHash, { mode = 'sync', orderingKey } = {}) {
+  const event = new Event({
+    event_type: eventType,
+    payload: payload,
+    idempotency_key: idempotencyKey,
+    request_hash: requestHash,
+    status: mode === 'async' ? 'Pending' : 'Processing',
+    mode,
+    ordering_key: orderingKey,
+    next_attempt_at: mode === 'async' ? new Date() : undefined,
+    request_id: ledgerContext.getStore()?.requestId,
+  });
+
+  try {
+    await event.save();
+    return { event };
+  } catch (err) {
+    if (!idempotencyKey || err.code !== 11000) {
+      throw err;
+    }
+  }
+
+  const existing = await Event.findOne({ idempotency_key: idempotencyKey });
+  if (!existing) {
+    throw new Error('Idempotency key was released concurrently, please retry');
+  }
+
+  // Take over a key whose original request died without finishing. Queued
+  // events are recovered by the event worker instead.
+  const isStale = Date.now() - existing.updated_at.getTime() > IDEMPOTENCY_LOCK_TIMEOUT_MS;
+  if (existing.mode === 'sync' && existing.status === 'Processing' && existing.request_hash === requestHash && isStale) {
+    const reclaimed = await Event.findOneAndUpdate(
+      { _id: existing._id, status: 'Processing', updated_at: existing.updated_at },
+      { $set: { updated_at: Date.now() } },
+      { new: true }
+    );
+    if (reclaimed) {
+      return { event: reclaimed };
+    }
+  }
+
+  return { existing };
+}
+
+// The timestamp selects the fee schedule and rates an event is processed
+// with, so it may only lie within event_processing.max_backdate_hours before
+// the event was received, and not after it beyond the clock skew
+function assertEventTimeAccepted(eventTime, receivedAt) {
+  const maxBackdateHours = getLedgerConfig().event_processing?.max_backdate_hours
+    ?? defaultConfig.event_processing.max_backdate_hours;
+  const earliest = new Date(receivedAt.getTime() - maxBackdateHours * 60 * 60 * 1000);
+  const latest = new Date(receivedAt.getTime() + MAX_CLOCK_SKEW_MS);
+
+  if (eventTime < earliest || eventTime > latest) {
+    throw new LedgerError(`Event timestamp ${eventTime.toISOString()} is outside the accepted range`, {
+      status: 422,
+      code: 'INVALID_TIMESTAMP',
+      details: { earliest, latest },
+    });
+  }
+}
+
+// Process a stored event: post its entry group with the configuration and
+// exchange rates effective at its timestamp. The entry group and the Completed
+// status with the stored response commit together, and only while the event
+// is still claimed as it was when processing started: if a stale-lock
+// takeover claimed it again meanwhile, nothing is posted.
+async function processEvent(event) {
+  const { event_type: eventType, payload } = event;
+  const eventTime = payload?.timestamp ? new Date(payload.timestamp) : event.created_at;
+  if (Number.isNaN(eventTime.getTime())) {
+    throw new LedgerError(`Invalid event timestamp ${payload.timestamp}`, { code: 'INVALID_TIMESTAMP' });
+  }
+  assertEventTimeAccepted(eventTime, event.created_at);
+  const { version: configVersion, config } = await resolveConfigAt(eventTime);
+  const rates = await loadRateSnapshot(eventTime);
+
+  return withTransaction((session) => ledgerContext.run({ ...ledgerContext.getStore(), config, rates, fxQuotes: [] }, async () => {
+    const createdEntries = await executeActions(eventType, { ...payload, event_id: event.event_id }, session);
+    const body = JSON.parse(JSON.stringify({
+      message: 'Event processed successfully',
+      event_id: event.event_id,
+      entries: createdEntries
+    }));
+
+    const completed = await Event.updateOne(
+      { _id: event._id, status: 'Processing', updated_at: event.updated_at },
+      {
+        $set: {
+          status: 'Completed',
+          config_version: configVersion,
+          response: { status_code: 200, body },
+          processed_at: Date.now(),
+          updated_at: Date.now(),
+        },
+      },
+      { session }
+    );
+    if (completed.matchedCount === 0) {
+      throw new LedgerError(`Event ${event.event_id} was claimed again while it was being processed`, {
+        status: 409,
+        code: 'EVENT_CLAIM_LOST',
       });
+    }
+    return body;
+  }));
+}
 
-      // Ensure balance
-      if (Math.abs(totalDebits - totalCredits) > 0.001) {
-        throw new Error('Ledger entries are not balanced');
-      }
+// Status of a queued event as returned to clients
+function eventStatusBody(event) {
+  return {
+    event_id: event.event_id,
+    event_type: event.event_type,
+    status: event.status,
+    mode: event.mode,
+    attempts: event.attempts,
+    error: event.error,
+    error_history: event.error_history,
+    response: event.response?.status_code ? event.response : undefined,
+    created_at: event.created_at,
+    processed_at: event.processed_at,
+  };
+}
 
-      break;
+// Requests must name an event type and carry a payload object
+function assertEventRequest(eventType, payload) {
+  if (typeof eventType !== 'string' || eventType === '') {
+    throw new LedgerError('eventType is required', { code: 'INVALID_EVENT' });
+  }
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new LedgerError('payload must be an object', { code: 'INVALID_EVENT' });
+  }
+}
 
-    case 'PaymentPartiallyRefunded':
-      // Ensure required fields are present
-      if (!payload.originalAmount || !payload.refundAmount || !payload.currency || !payload.merchantId) {
-        throw new Error('Missing required fields in payload for PaymentPartiallyRefunded');
-      }
+// Shared handler for POST /events and POST /event. Events are processed
+// within the request, or queued and answered with 202 when the ledger's
+// event_processing.mode is async or the client sends Prefer: respond-async.
+async function handleEventRequest(req, res) {
+  const { eventType, payload } = req.body;
+  // Before the idempotency key is claimed, so a malformed request does not
+  // take the key
+  try {
+    assertEventRequest(eventType, payload);
+  } catch (err) {
+    return res.status(errorStatus(err)).json(errorBody(err));
+  }
+
+  const idempotencyKey = getIdempotencyKey(req);
+  const requestHash = hashEventRequest(eventType, payload);
+  const mode = getLedgerConfig().event_processing?.mode === 'async' || /\brespond-async\b/.test(req.get('Prefer') || '')
+    ? 'async'
+    : 'sync';
+
+  let event;
+  try {
+    const claim = await claimIdempotencyKey(eventType, payload, idempotencyKey, requestHash, {
+      mode,
+      orderingKey: await getEventOrderingKey(req.body),
+    });
 
-      // Validate refund amount
-      if (payload.refundAmount > payload.originalAmount) {
-        throw new Error('Refund amount cannot exceed the original payment amount');
+    if (claim.existing) {
+      const { existing } = claim;
+      if (existing.request_hash !== requestHash) {
+        return res.status(422).json({ error: 'Idempotency key has already been used with a different request' });
+      }
+      if (existing.mode === 'async') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(202).json(eventStatusBody(existing));
       }
+      if (existing.status === 'Processing') {
+        return res.status(409).json({ error: 'A request with this idempotency key is still being processed' });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response.status_code).json(existing.response.body);
+    }
 
-      // Fetch necessary accounts
-      const merchantPayableAccountPartialRefund = await findOrCreateAccount({
-        account_name: `Merchant Payable - ${payload.merchantId}`,
-        currency: payload.currency,
-        account_type: 'Liability',
-        nature: 'Credit',
-      });
+    event = claim.event;
+  } catch (err) {
+    return res.status(errorStatus(err)).json(errorBody(err));
+  }
+
+  if (event.mode === 'async') {
+    res.set('Location', `${req.baseUrl}/events/${event.event_id}`);
+    return res.status(202).json(eventStatusBody(event));
+  }
+
+  try {
+    const responseBody = await processEvent(event);
+    res.status(200).json(responseBody);
+  } catch (err) {
+    const statusCode = errorStatus(err);
+    const body = errorBody(err);
+
+    // Client errors are final and replayed on retry; server errors release
+    // the key so the client can safely try again. An event claimed again
+    // meanwhile belongs to the new claim and is left alone.
+    const update = statusCode < 500
+      ? { $set: { status: 'Failed', error: err.message, response: { status_code: statusCode, body }, updated_at: Date.now() } }
+      : { $set: { status: 'Failed', error: err.message, updated_at: Date.now() }, $unset: { idempotency_key: 1 } };
+    await Event.updateOne({ _id: event._id, status: 'Processing', updated_at: event.updated_at }, update).catch((updateErr) => {
+      console.error('Error recording event failure:', updateErr.message);
+    });
+
+    res.status(statusCode).json(body);
+  }
+}
+
+router.post('/events', requireScope('events:write'), handleEventRequest);
+router.post('/event', requireScope('events:write'), handleEventRequest);
+
+// --- Event Queue ---
+// The worker processes queued events oldest first. An event waits while an
+// earlier event with the same ordering key is pending or being processed, so
+// the events of one merchant never run concurrently or out of order. Client
+// errors fail an event at once; other errors are retried with backoff until
+// `max_attempts`. A failed event no longer holds up later events of its key.
+
+// Queued events that are due, including ones whose worker died mid-processing
+function dueQueuedEventsFilter(now = new Date()) {
+  return {
+    mode: 'async',
+    $or: [
+      { status: 'Pending', next_attempt_at: { $lte: now } },
+      { status: 'Processing', updated_at: { $lt: new Date(now.getTime() - IDEMPOTENCY_LOCK_TIMEOUT_MS) } },
+    ],
+  };
+}
+
+// Whether an earlier event with the same ordering key has not finished yet
+async function hasEarlierUnfinishedEvent(event) {
+  const staleBefore = new Date(Date.now() - IDEMPOTENCY_LOCK_TIMEOUT_MS);
+  return Event.exists({
+    ordering_key: event.ordering_key,
+    $and: [
+      {
+        $or: [
+          { created_at: { $lt: event.created_at } },
+          { created_at: event.created_at, _id: { $lt: event._id } },
+        ],
+      },
+      {
+        $or: [
+          { status: 'Pending' },
+          { status: 'Processing', mode: 'async' },
+          { status: 'Processing', updated_at: { $gte: staleBefore } },
+        ],
+      },
+    ],
+  });
+}
+
+// Record a failed attempt, unless the event has been claimed again since.
+// Returns true when the event will not be retried.
+async function recordEventAttemptFailure(event, err, settings) {
+  const clientError = isClientError(err);
+  const final = clientError || event.attempts >= settings.max_attempts;
+  const update = { error: err.message, updated_at: Date.now() };
+
+  if (final) {
+    update.status = 'Failed';
+    update.response = { status_code: errorStatus(err), body: errorBody(err) };
+  } else {
+    update.status = 'Pending';
+    update.next_attempt_at = new Date(Date.now() + retryBackoffMs(event.attempts, settings));
+  }
+
+  await Event.updateOne(
+    { _id: event._id, status: 'Processing', updated_at: event.updated_at },
+    {
+      $set: update,
+      $push: { error_history: { attempt: event.attempts, message: err.message, at: new Date() } },
+    }
+  );
+  return final;
+}
+
+// Process due queued events of the current ledger
+async function processQueuedEvents() {
+  const settings = { ...defaultConfig.event_processing, ...getLedgerConfig().event_processing };
+  const result = { processed: 0, failed: 0, retrying: 0, waiting: 0 };
+  const blockedKeys = new Set();
+
+  const candidates = await Event.find(dueQueuedEventsFilter())
+    .sort({ created_at: 1, _id: 1 })
+    .limit(settings.batch_size);
+
+  for (const candidate of candidates) {
+    if (blockedKeys.has(candidate.ordering_key) || await hasEarlierUnfinishedEvent(candidate)) {
+      blockedKeys.add(candidate.ordering_key);
+      result.waiting += 1;
+      continue;
+    }
+
+    // Claim the event; another worker may have taken it since it was read
+    const event = await Event.findOneAndUpdate(
+      { _id: candidate._id, status: candidate.status, updated_at: candidate.updated_at },
+      { $set: { status: 'Processing', updated_at: Date.now() }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!event) {
+      blockedKeys.add(candidate.ordering_key);
+      continue;
+    }
 
-      // Check if merchant has sufficient funds
-      if (merchantPayableAccountPartialRefund.balance < payload.refundAmount) {
-        throw new Error('Insufficient funds in merchant account for partial refund');
+    // Entries and audit records are attributed to whoever submitted the event
+    const context = { ...ledgerContext.getStore(), principal: event.principal?.toObject(), requestId: event.request_id };
+    try {
+      await ledgerContext.run(context, () => processEvent(event));
+      result.processed += 1;
+    } catch (err) {
+      if (err.code === 'EVENT_CLAIM_LOST') {
+        blockedKeys.add(event.ordering_key);
+        continue;
+      }
+      if (await recordEventAttemptFailure(event, err, settings)) {
+        result.failed += 1;
+      } else {
+        blockedKeys.add(event.ordering_key);
+        result.retrying += 1;
       }
+    }
+  }
 
-      const cashAccountPartialRefund = await findOrCreateAccount({
-        account_name: `Cash - ${payload.currency}`,
-        currency: payload.currency,
-        account_type: 'Asset',
-        nature: 'Debit',
+  return result;
+}
+
+let eventWorkerTask = null;
+
+// (Re)schedule the event worker according to `ledgerConfig.event_processing`.
+// The worker runs for every ledger, including ledgers in sync mode, so that
+// events queued with Prefer: respond-async are processed too.
+function scheduleEventWorker() {
+  if (eventWorkerTask) {
+    eventWorkerTask.stop();
+    eventWorkerTask = null;
+  }
+
+  const settings = ledgerConfig.event_processing;
+  if (!settings || !settings.schedule) {
+    return;
+  }
+
+  if (!cron.validate(settings.schedule)) {
+    console.warn('Invalid event worker schedule:', settings.schedule);
+    return;
+  }
+
+  let running = false;
+  eventWorkerTask = cron.schedule(settings.schedule, async () => {
+    // Skip a tick while the previous run is still processing
+    if (running) return;
+    running = true;
+    try {
+      await forEachLedger(async ({ ledger_id: ledgerId }) => {
+        const result = await processQueuedEvents();
+        if (result.processed > 0 || result.failed > 0 || result.retrying > 0) {
+          console.log(`Event worker for ledger ${ledgerId}:`, result);
+        }
       });
+    } catch (error) {
+      console.error('Error processing queued events:', error.message);
+    } finally {
+      running = false;
+    }
+  });
+}
 
-      // Create ledger entries
-      ledgerEntries.push(
-        // Debit Merchant Payable (Liability decrease)
-        {
-          account_id: merchantPayableAccountPartialRefund.account_id,
-          entry_type: 'Debit',
-          amount: payload.refundAmount,
-          currency: payload.currency,
-          description: `Partial refund to customer for merchant ${payload.merchantId}`,
-          metadata: { 
-            ...payload.metadata, 
-            refundType: 'Partial',
-            originalAmount: payload.originalAmount
-          }
-        },
-        // Credit Cash (Asset decrease)
+scheduleEventWorker();
+
+// List events, newest first
+router.get('/events', requireScope('events:read'), async (req, res) => {
+  const { status, eventType, orderingKey, page = 1, pageSize = 50 } = req.query;
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (eventType) filter.event_type = eventType;
+  if (orderingKey) filter.ordering_key = orderingKey;
+
+  try {
+    const totalEvents = await Event.countDocuments(filter);
+    const events = await Event.find(filter)
+      .sort({ created_at: -1 })
+      .skip((page - 1) * pageSize)
+      .limit(Number(pageSize));
+
+    res.status(200).json({
+      events: events.map(eventStatusBody),
+      pagination: {
+        page: Number(page),
+        pageSize: Number(pageSize),
+        totalPages: Math.ceil(totalEvents / pageSize),
+        totalEvents,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get an event's processing status, attempts and errors
+router.get('/events/:eventId', requireScope('events:read'), async (req, res) => {
+  try {
+    const event = await Event.findOne({ event_id: req.params.eventId });
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    res.status(200).json({ ...eventStatusBody(event), ordering_key: event.ordering_key, payload: event.payload });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Queue a failed event again, e.g. after the accounting period or account
+// that rejected it was fixed. It is retried with a fresh attempt budget.
+router.post('/events/:eventId/retry', requireScope('events:write'), async (req, res) => {
+  try {
+    const event = await withTransaction(async (session) => {
+      const retried = await Event.findOneAndUpdate(
+        { event_id: req.params.eventId, status: 'Failed' },
         {
-          account_id: cashAccountPartialRefund.account_id,
-          entry_type: 'Credit',
-          amount: payload.refundAmount,
-          currency: payload.currency,
-          description: `Cash partially refunded to customer ${payload.customerId || ''}`,
-          metadata: { 
-            ...payload.metadata, 
-            refundType: 'Partial',
-            originalAmount: payload.originalAmount
-          }
-        }
+          $set: { status: 'Pending', mode: 'async', attempts: 0, next_attempt_at: new Date(), updated_at: Date.now() },
+          $unset: { response: 1 },
+        },
+        { new: true, session }
       );
+      if (retried) {
+        await recordAudit({
+          action: 'event.retried',
+          entityType: 'event',
+          entityId: retried.event_id,
+          before: { status: 'Failed', error: retried.error },
+          after: { status: 'Pending' },
+        }, session);
+      }
+      return retried;
+    });
+    if (!event) {
+      const exists = await Event.exists({ event_id: req.params.eventId });
+      return exists
+        ? res.status(409).json({ error: 'Only failed events can be retried' })
+        : res.status(404).json({ error: 'Event not found' });
+    }
+    res.status(202).json(eventStatusBody(event));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-      // Calculate totals
-      ledgerEntries.forEach(entry => {
-        if (entry.entry_type === 'Debit') {
-          totalDebits += entry.amount;
-        } else {
-          totalCredits += entry.amount;
-        }
-      });
+// --- Payouts API ---
 
-      // Ensure balance
-      if (Math.abs(totalDebits - totalCredits) > 0.001) {
-        throw new Error('Ledger entries are not balanced');
-      }
+// Payable balance available for payout per merchant and currency
+router.get('/payouts/balances', requireScope('entries:read'), async (req, res) => {
+  const { merchantId, currency } = req.query;
+  const filter = merchantId
+    ? { account_name: `Merchant Payable - ${merchantId}` }
+    : { account_name: /^Merchant Payable - / };
+  if (currency) filter.currency = currency;
 
-      break;
+  try {
+    const payableAccounts = await Account.find(filter);
+    const inTransitMatch = { status: 'Initiated' };
+    if (merchantId) inTransitMatch.merchant_id = merchantId;
+    if (currency) inTransitMatch.currency = currency;
 
-    // Add cases for other event types (PaymentRefunded, etc.) with similar logic
+    const inTransit = await Payout.aggregate([
+      { $match: inTransitMatch },
+      {
+        $group: {
+          _id: { merchant_id: '$merchant_id', currency: '$currency' },
+          amount: { $sum: '$amount' },
+        },
+      },
+    ]);
+    const inTransitByKey = new Map(
+      inTransit.map((group) => [`${group._id.merchant_id}:${group._id.currency}`, group.amount])
+    );
 
-    default:
-      throw new Error(`Unsupported event type: ${eventType}`);
+    const balances = payableAccounts.map((account) => {
+      const accountMerchantId = account.account_name.replace(/^Merchant Payable - /, '');
+      const inTransitAmount = inTransitByKey.get(`${accountMerchantId}:${account.currency}`) || 0;
+      return {
+        merchant_id: accountMerchantId,
+        currency: account.currency,
+        payable_balance: fromMinorUnits(account.balance, account.currency),
+        in_transit: fromMinorUnits(inTransitAmount, account.currency),
+        available_for_payout: fromMinorUnits(Math.max(account.balance, 0), account.currency),
+      };
+    });
+
+    res.status(200).json(balances);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
+});
 
-  const createdEntries = [];
+// List payout history
+router.get('/payouts', requireScope('entries:read'), async (req, res) => {
+  const { merchantId, currency, status, page = 1, pageSize = 50 } = req.query;
+  const filter = {};
+  if (merchantId) filter.merchant_id = merchantId;
+  if (currency) filter.currency = currency;
+  if (status) filter.status = status;
 
-  // Save entries and update account balances
-  for (const entryData of ledgerEntries) {
-    const ledgerEntry = new LedgerEntry({
-      entry_id: uuidv4(),
-      entryGroupId,
-      transaction_id: transactionId,
-      event_id: eventId,
-      account_id: entryData.account_id,
-      entry_type: entryData.entry_type,
-      amount: entryData.amount,
-      currency: entryData.currency,
-      description: entryData.description,
-      metadata: {
-        ...entryData.metadata,
-        event_id: eventId  // Add event_id to metadata
+  try {
+    const totalPayouts = await Payout.countDocuments(filter);
+    const payouts = await Payout.find(filter)
+      .sort({ initiated_at: -1 })
+      .skip((page - 1) * pageSize)
+      .limit(Number(pageSize));
+
+    res.status(200).json({
+      payouts,
+      pagination: {
+        page: Number(page),
+        pageSize: Number(pageSize),
+        totalPages: Math.ceil(totalPayouts / pageSize),
+        totalPayouts,
       },
     });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    await ledgerEntry.save();
-    await updateAccountBalance(
-      ledgerEntry.account_id,
-      ledgerEntry.entry_type,
-      ledgerEntry.amount,
-      ledgerEntry.currency
-    );
+// Get a payout
+router.get('/payouts/:payoutId', requireScope('entries:read'), async (req, res) => {
+  try {
+    const payout = await Payout.findOne({ payout_id: req.params.payoutId });
+    if (!payout) {
+      return res.status(404).json({ error: 'Payout not found' });
+    }
+    res.status(200).json(payout);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Disputes API ---
+
+// List disputes, e.g. all disputes for a merchant
+router.get('/disputes', requireScope('entries:read'), async (req, res) => {
+  const { merchantId, transactionId, status, page = 1, pageSize = 50 } = req.query;
+  const filter = {};
+  if (merchantId) filter.merchant_id = merchantId;
+  if (transactionId) filter.transaction_id = transactionId;
+  if (status) filter.status = status;
+
+  try {
+    const totalDisputes = await Dispute.countDocuments(filter);
+    const disputes = await Dispute.find(filter)
+      .sort({ opened_at: -1 })
+      .skip((page - 1) * pageSize)
+      .limit(Number(pageSize));
+
+    res.status(200).json({
+      disputes,
+      pagination: {
+        page: Number(page),
+        pageSize: Number(pageSize),
+        totalPages: Math.ceil(totalDisputes / pageSize),
+        totalDisputes,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    createdEntries.push(ledgerEntry);
+// Get a dispute
+router.get('/disputes/:disputeId', requireScope('entries:read'), async (req, res) => {
+  try {
+    const dispute = await Dispute.findOne({ dispute_id: req.params.disputeId });
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+    res.status(200).json(dispute);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
+});
 
-  return createdEntries;
-}
+// --- Posting Rules API ---
 
-function evaluateConditions(conditions, payload) {
-  // Since we're not using conditions, we'll always return true
-  return true;
+// Fields of a posting rule that clients may set
+function pickPostingRuleFields(body) {
+  const { name, event_type, priority, conditions, variables, legs } = body || {};
+  return { name, event_type, priority, conditions, variables, legs };
 }
 
-// Event Schema
-const eventSchema = new mongoose.Schema({
-  event_id: { type: String, default: uuidv4, unique: true },
-  event_type: { type: String, required: true },
-  payload: { type: mongoose.Schema.Types.Mixed, required: true },
-  created_at: { type: Date, default: Date.now },
+// List posting rules (active versions unless a status is given)
+router.get('/posting-rules', requireScope('rules:read'), async (req, res) => {
+  const { eventType, status = 'Active' } = req.query;
+  const filter = { status };
+  if (eventType) filter.event_type = eventType;
+
+  try {
+    const rules = await PostingRule.find(filter).sort({ event_type: 1, priority: 1 });
+    res.status(200).json(rules);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-const Event = mongoose.model('Event', eventSchema);
+// Get the latest version of a posting rule
+router.get('/posting-rules/:ruleId', requireScope('rules:read'), async (req, res) => {
+  try {
+    const rule = await PostingRule.findOne({ rule_id: req.params.ruleId }).sort({ version: -1 });
+    if (!rule) {
+      return res.status(404).json({ error: 'Posting rule not found' });
+    }
+    res.status(200).json(rule);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-// ==========================
-// API Endpoints
-// ==========================
+// List every version of a posting rule
+router.get('/posting-rules/:ruleId/versions', requireScope('rules:read'), async (req, res) => {
+  try {
+    const versions = await PostingRule.find({ rule_id: req.params.ruleId }).sort({ version: 1 });
+    if (versions.length === 0) {
+      return res.status(404).json({ error: 'Posting rule not found' });
+    }
+    res.status(200).json(versions);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-// --- Account Management Endpoints ---
+// Create a posting rule (version 1)
+router.post('/posting-rules', requireScope('rules:write'), async (req, res) => {
+  const definition = pickPostingRuleFields(req.body);
+  const errors = validatePostingRule(definition);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid posting rule', details: errors });
+  }
 
-// Create Account
-router.post('/accounts', async (req, res) => {
-  const {
-    accountName,
-    nature,
-    accountType,
-    parentAccountId,
-    currency,
-    status,
-    metadata,
-  } = req.body;
-  const uniqueId = uuidv4();
   try {
-    const newAccount = new Account({
-      account_number: uniqueId,
-      account_name: accountName,
-      account_type: accountType,
-      parent_account_id: parentAccountId,
-      currency: currency,
-      nature,
-      balance: 0,
-      status: status,
-      metadata: metadata,
+    const rule = new PostingRule({ ...definition, rule_id: uuidv4(), version: 1, status: 'Active' });
+    await withTransaction(async (session) => {
+      await rule.save({ session });
+      await recordAudit({ action: 'posting_rule.created', entityType: 'posting_rule', entityId: rule.rule_id, after: rule }, session);
     });
-    const result = await newAccount.save();
-    res.status(201).json(result);
+    res.status(201).json(rule);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Update Account
-router.put('/accounts/:accountId', async (req, res) => {
-  const { accountId } = req.params;
-  const {
-    accountNumber,
-    accountName,
-    nature,
-    accountType,
-    parentAccountId,
-    currency,
-    status,
-    metadata,
-  } = req.body;
+// Update a posting rule by saving a new version and superseding the current one
+router.put('/posting-rules/:ruleId', requireScope('rules:write'), async (req, res) => {
+  const { ruleId } = req.params;
+  const definition = pickPostingRuleFields(req.body);
+  const errors = validatePostingRule(definition);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid posting rule', details: errors });
+  }
 
   try {
-    const updatedAccount = await Account.findOneAndUpdate(
-      { account_id: accountId },
-      {
-        account_number: accountNumber,
-        account_name: accountName,
-        nature: nature,
-        account_type: accountType,
-        parent_account_id: parentAccountId,
-        currency: currency,
-        status: status,
-        metadata: metadata,
-        updated_at: Date.now(),
-      },
-      { new: true }
-    );
-    if (!updatedAccount) {
-      return res.status(404).json({ error: 'Account not found' });
+    const rule = await withTransaction(async (session) => {
+      const current = await PostingRule.findOne({ rule_id: ruleId }).sort({ version: -1 }).session(session);
+      if (!current) {
+        return null;
+      }
+
+      await PostingRule.updateMany(
+        { rule_id: ruleId, status: 'Active' },
+        { $set: { status: 'Superseded' } },
+        { session }
+      );
+
+      const nextVersion = new PostingRule({
+        ...definition,
+        rule_id: ruleId,
+        version: current.version + 1,
+        status: 'Active',
+      });
+      await nextVersion.save({ session });
+      await recordAudit({
+        action: 'posting_rule.updated',
+        entityType: 'posting_rule',
+        entityId: ruleId,
+        before: current,
+        after: nextVersion,
+      }, session);
+      return nextVersion;
+    });
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Posting rule not found' });
     }
-    res.status(200).json(updatedAccount);
+    res.status(200).json(rule);
   } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'Posting rule was updated concurrently, please retry' });
+    }
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get Account Details
-router.get('/accounts/:accountId', async (req, res) => {
-  const { accountId } = req.params;
-
+// Deactivate a posting rule. Versions are kept because entries reference them.
+router.delete('/posting-rules/:ruleId', requireScope('rules:write'), async (req, res) => {
   try {
-    const account = await Account.findOne({ account_id: accountId });
-    if (!account) {
-      return res.status(404).json({ error: 'Account not found' });
+    const result = await withTransaction(async (session) => {
+      const deactivated = await PostingRule.updateMany(
+        { rule_id: req.params.ruleId, status: 'Active' },
+        { $set: { status: 'Inactive' } },
+        { session }
+      );
+      if (deactivated.matchedCount > 0) {
+        await recordAudit({
+          action: 'posting_rule.deactivated',
+          entityType: 'posting_rule',
+          entityId: req.params.ruleId,
+          before: { status: 'Active' },
+          after: { status: 'Inactive' },
+        }, session);
+      }
+      return deactivated;
+    });
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: 'Active posting rule not found' });
     }
-    res.status(200).json(account);
+    res.status(200).json({ message: 'Posting rule deactivated successfully' });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// List Accounts
-router.get('/accounts', async (req, res) => {
-  const { accountType, currency, status } = req.query;
-  const filter = {};
+// --- Financial Reports API ---
 
-  if (accountType) filter.account_type = accountType;
-  if (currency) filter.currency = currency;
-  if (status) filter.status = status;
+// Trial balance: debit and credit totals per account as of a date
+router.get('/reports/trial-balance', requireScope('reports:read'), async (req, res) => {
+  try {
+    const asOf = parseDateParam(req.query.asOf, 'asOf', new Date());
+    const reportingCurrency = req.query.reportingCurrency;
+    const report = await runWithLedgerContextAt(asOf, () => buildTrialBalance({ asOf, reportingCurrency }));
+
+    sendReport(req, res, report, {
+      rows: report.accounts,
+      columns: ['account_id', 'account_name', 'account_type', 'currency', 'debit', 'credit'],
+      filename: `trial-balance-${asOf.toISOString().slice(0, 10)}.csv`,
+    });
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
 
+// Balance sheet: Asset, Liability and Equity accounts rolled up by parent account
+router.get('/reports/balance-sheet', requireScope('reports:read'), async (req, res) => {
   try {
-    const accounts = await Account.find(filter);
-    res.status(200).json(accounts);
+    const asOf = parseDateParam(req.query.asOf, 'asOf', new Date());
+    const reportingCurrency = req.query.reportingCurrency;
+    const report = await runWithLedgerContextAt(asOf, () => buildBalanceSheet({ asOf, reportingCurrency }));
+
+    const json = {
+      ...report,
+      assets: { ...report.assets, accounts: report.assets.accounts.map(serializeTreeNode) },
+      liabilities: { ...report.liabilities, accounts: report.liabilities.accounts.map(serializeTreeNode) },
+      equity: { ...report.equity, accounts: report.equity.accounts.map(serializeTreeNode) },
+    };
+
+    sendReport(req, res, json, {
+      rows: [
+        ...flattenTree(report.assets.accounts, 'assets'),
+        ...flattenTree(report.liabilities.accounts, 'liabilities'),
+        ...flattenTree(report.equity.accounts, 'equity'),
+      ],
+      columns: [
+        'section', 'depth', 'account_id', 'account_name', 'account_type', 'parent_account_id',
+        'currency', 'balance', 'reporting_currency', 'reporting_balance', 'subtotal',
+      ],
+      filename: `balance-sheet-${asOf.toISOString().slice(0, 10)}.csv`,
+    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(errorStatus(err)).json(errorBody(err));
   }
 });
 
-// --- Accounting Entries API ---
+// Income statement: Revenue and Expense activity for a date range
+router.get('/reports/income-statement', requireScope('reports:read'), async (req, res) => {
+  try {
+    const from = parseDateParam(req.query.from, 'from');
+    const to = parseDateParam(req.query.to, 'to', new Date());
+    const reportingCurrency = req.query.reportingCurrency;
+    const report = await runWithLedgerContextAt(to, () => buildIncomeStatement({ from, to, reportingCurrency }));
 
-// 1. Create Accounting Entries
-router.post('/accounting-entries', async (req, res) => {
-  const { transactionId, eventId, entries } = req.body;
+    const json = {
+      ...report,
+      revenue: { ...report.revenue, accounts: report.revenue.accounts.map(serializeReportLine) },
+      expenses: { ...report.expenses, accounts: report.expenses.accounts.map(serializeReportLine) },
+    };
 
-  // Validate entries
-  if (!entries || !Array.isArray(entries) || entries.length < 2) {
-    return res.status(400).json({ error: 'At least two entries are required' });
+    sendReport(req, res, json, {
+      rows: [
+        ...json.revenue.accounts.map((line) => ({ section: 'revenue', ...line })),
+        ...json.expenses.accounts.map((line) => ({ section: 'expenses', ...line })),
+      ],
+      columns: ['section', 'account_id', 'account_name', 'currency', 'balance', 'reporting_currency', 'reporting_balance'],
+      filename: `income-statement-${to.toISOString().slice(0, 10)}.csv`,
+    });
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
   }
+});
+
+// --- Accounting Periods API ---
 
-  const entryGroupId = uuidv4();
-  let totalDebits = 0;
-  let totalCredits = 0;
-  const ledgerEntries = [];
+
+// Create a period covering [startDate, endDate)
+router.post('/accounting-periods', requireScope('periods:write'), async (req, res) => {
+  const { name, startDate: startInput, endDate: endInput } = req.body;
+  const startDate = new Date(startInput);
+  const endDate = new Date(endInput);
+
+  if (!name || Number.isNaN(startDate.getTime()) || Number.isNaN(endDate.getTime())) {
+    return res.status(400).json({ error: 'name, startDate and endDate are required' });
+  }
+  if (startDate >= endDate) {
+    return res.status(400).json({ error: 'startDate must be before endDate' });
+  }
 
   try {
-    // Process entries
-    for (const entry of entries) {
-      const { accountId, entryType, amount, currency, description, metadata } = entry;
+    const overlapping = await AccountingPeriod.findOne({
+      start_date: { $lt: endDate },
+      end_date: { $gt: startDate },
+    });
+    if (overlapping) {
+      return res.status(409).json({ error: `Period overlaps accounting period ${overlapping.name}` });
+    }
 
-      if (!accountId || !entryType || !amount || !currency) {
-        return res.status(400).json({ error: 'Invalid entry data' });
-      }
+    const period = new AccountingPeriod({
+      name,
+      start_date: startDate,
+      end_date: endDate,
+      history: [{ action: 'Created', actor: describePrincipal(req.principal) }],
+    });
+    await withTransaction(async (session) => {
+      await period.save({ session });
+      await recordAudit({ action: 'period.created', entityType: 'accounting_period', entityId: period.period_id, after: period }, session);
+    });
+    res.status(201).json(period);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-      const ledgerEntry = new LedgerEntry({
-        entry_id: uuidv4(),
-        entryGroupId,
-        transaction_id: transactionId,
-        event_id: eventId,
-        account_id: accountId,
-        entry_type: entryType,
-        amount,
-        currency,
-        description,
-        metadata,
-      });
+// List accounting periods, most recent first
+router.get('/accounting-periods', requireScope('periods:read'), async (req, res) => {
+  const { status } = req.query;
+  const filter = {};
 
-      ledgerEntries.push(ledgerEntry);
+  if (status) filter.status = status;
 
-      // Update totals
-      if (entryType === 'Debit') {
-        totalDebits += amount;
-      } else if (entryType === 'Credit') {
-        totalCredits += amount;
-      } else {
-        return res.status(400).json({ error: 'Invalid entry type' });
-      }
-    }
+  try {
+    const periods = await AccountingPeriod.find(filter).sort({ start_date: -1 });
+    res.status(200).json(periods);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // Validate that debits equal credits
-    if (totalDebits.toFixed(2) !== totalCredits.toFixed(2)) {
-      return res.status(400).json({ error: 'Total debits must equal total credits' });
+// Get an accounting period
+router.get('/accounting-periods/:periodId', requireScope('periods:read'), async (req, res) => {
+  try {
+    const period = await AccountingPeriod.findOne({ period_id: req.params.periodId });
+    if (!period) {
+      return res.status(404).json({ error: 'Accounting period not found' });
     }
+    res.status(200).json(period);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Close a period and post its closing entries into retained earnings
+router.post('/accounting-periods/:periodId/close', requireScope('periods:write'), async (req, res) => {
+  try {
+    const period = await closeAccountingPeriod(req.params.periodId, {
+      actor: describePrincipal(req.principal),
+      reason: req.body.reason,
+    });
+    res.status(200).json(period);
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
 
-    // Save entries and update account balances
-    for (const ledgerEntry of ledgerEntries) {
-      await ledgerEntry.save();
-      await updateAccountBalance(
-        ledgerEntry.account_id,
-        ledgerEntry.entry_type,
-        ledgerEntry.amount,
-        ledgerEntry.currency
-      );
-    }
+// Reopen a closed period. Reopening is audited, so a reason is required.
+router.post('/accounting-periods/:periodId/reopen', requireScope('config:admin'), async (req, res) => {
+  const actor = describePrincipal(req.principal);
+  const { reason } = req.body;
 
-    res.status(201).json({
-      entryGroupId,
-      entries: ledgerEntries,
+  if (!reason) {
+    return res.status(400).json({ error: 'Reopening a period requires a reason' });
+  }
+
+  try {
+    const period = await transitionAccountingPeriod(req.params.periodId, {
+      from: 'Closed',
+      to: 'Open',
+      action: 'Reopened',
+      actor,
+      reason,
     });
+    console.log(`Accounting period ${period.name} reopened by ${actor}: ${reason}`);
+    res.status(200).json(period);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(errorStatus(err)).json(errorBody(err));
   }
 });
 
-// 2. Retrieve Accounting Entry
-router.get('/accounting-entries/:entryId', async (req, res) => {
-  const { entryId } = req.params;
- 
+// Lock a closed period permanently
+router.post('/accounting-periods/:periodId/lock', requireScope('config:admin'), async (req, res) => {
   try {
-    const entry = await LedgerEntry.findOne({ entry_id: entryId });
-    if (!entry) {
-      return res.status(404).json({ error: 'Entry not found' });
-    }
-    res.status(200).json(entry);
+    const period = await transitionAccountingPeriod(req.params.periodId, {
+      from: 'Closed',
+      to: 'Locked',
+      action: 'Locked',
+      actor: describePrincipal(req.principal),
+      reason: req.body.reason,
+    });
+    res.status(200).json(period);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(errorStatus(err)).json(errorBody(err));
   }
 });
 
-// 3. List Accounting Entries
-router.get('/accounting-entries', async (req, res) => {
-  const {
-    accountId,
-    transactionId,
-    eventId,
-    entryType,
-    startDate,
-    endDate,
-    isReversal,
-    page = 1,
-    pageSize = 50,
-  } = req.query;
+// --- Exchange Rates API ---
 
+// Rate history for a currency pair, newest first
+router.get('/exchange-rates', requireScope('rates:read'), async (req, res) => {
+  const { base, quote, from, to, page = 1, pageSize = 50 } = req.query;
   const filter = {};
-  if (accountId) filter.account_id = accountId;
-  if (transactionId) filter.transaction_id = transactionId;
-  if (eventId) filter.event_id = eventId;
-  if (entryType) filter.entry_type = entryType;
-  if (isReversal !== undefined) filter.isReversal = isReversal === 'true';
-
-  if (startDate) filter.timestamp = { $gte: new Date(startDate) };
-  if (endDate) {
-    filter.timestamp = filter.timestamp || {};
-    filter.timestamp.$lte = new Date(endDate);
+  if (base) filter.base_currency = base;
+  if (quote) filter.quote_currency = quote;
+  if (from) filter.effective_at = { $gte: new Date(from) };
+  if (to) {
+    filter.effective_at = filter.effective_at || {};
+    filter.effective_at.$lte = new Date(to);
   }
 
   try {
-    const totalEntries = await LedgerEntry.countDocuments(filter);
-    const totalPages = Math.ceil(totalEntries / pageSize);
-    const entries = await LedgerEntry.find(filter)
+    const totalRates = await ExchangeRate.countDocuments(filter);
+    const rates = await ExchangeRate.find(filter)
+      .sort({ effective_at: -1 })
       .skip((page - 1) * pageSize)
       .limit(Number(pageSize));
 
     res.status(200).json({
-      entries,
+      rates,
       pagination: {
         page: Number(page),
         pageSize: Number(pageSize),
-        totalPages,
-        totalEntries,
+        totalPages: Math.ceil(totalRates / pageSize),
+        totalRates,
       },
     });
   } catch (err) {
@@ -779,231 +8169,401 @@ router.get('/accounting-entries', async (req, res) => {
   }
 });
 
-// 4. Reverse Accounting Entries
-router.post('/accounting-entries/:entryGroupId/reverse', async (req, res) => {
-  const { entryGroupId } = req.params;
+// Rate that applies to a conversion as of a point in time (default: now)
+router.get('/exchange-rates/quote', requireScope('rates:read'), async (req, res) => {
+  const { from, to } = req.query;
+  const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
 
-  try {
-    const originalEntries = await LedgerEntry.find({ entryGroupId });
-    if (!originalEntries || originalEntries.length === 0) {
-      return res.status(404).json({ error: 'Entry group not found' });
-    }
+  if (!from || !to || Number.isNaN(asOf.getTime())) {
+    return res.status(400).json({ error: 'from, to and a valid asOf are required' });
+  }
 
-    // Check if entries have already been reversed
-    const alreadyReversed = originalEntries.some((entry) => entry.isReversed);
-    if (alreadyReversed) {
-      return res.status(400).json({ error: 'This entry group has already been reversed' });
+  try {
+    const quote = await getExchangeRateQuoteAsOf(from, to, asOf);
+    res.status(200).json(fxMetadata(quote, from, to));
+  } catch (err) {
+    if (err.code === 'EXCHANGE_RATE_UNAVAILABLE') {
+      return res.status(404).json(errorBody(err));
     }
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
 
-    const reversalEntryGroupId = uuidv4();
-    const reversalEntries = [];
-
-    for (const originalEntry of originalEntries) {
-      const account = await Account.findOne({ account_id: originalEntry.account_id });
-      if (!account) {
-        throw new Error(`Account with ID ${originalEntry.account_id} not found`);
-      }
+// Manually record rates: { rates: [{ base_currency, quote_currency, rate, effective_at }] }
+router.post('/exchange-rates', requireScope('rates:write'), async (req, res) => {
+  const rows = (Array.isArray(req.body.rates) ? req.body.rates : []).map((row) => ({
+    base_currency: row.base_currency,
+    quote_currency: row.quote_currency,
+    rate: Number(row.rate),
+    effective_at: new Date(row.effective_at),
+  }));
 
-      let reversalAmount = originalEntry.amount;
-      let reversalCurrency = originalEntry.currency;
+  try {
+    const result = await storeRates(rows, 'manual');
+    res.status(201).json(result);
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
 
-      // If the account currency doesn't match the entry currency, convert the amount
-      if (account.currency !== originalEntry.currency) {
-        const exchangeRate = getExchangeRate(originalEntry.currency, account.currency);
-        reversalAmount = originalEntry.amount * exchangeRate;
-        reversalCurrency = account.currency;
-      }
+// Import rates from a CSV body (Content-Type: text/csv)
+router.post('/exchange-rates/import', requireScope('rates:write'), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  try {
+    const result = await storeRates(parseRatesCsv(req.body), 'csv');
+    res.status(201).json(result);
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
 
-      const reversalEntry = new LedgerEntry({
-        entry_id: uuidv4(),
-        entryGroupId: reversalEntryGroupId,
-        transaction_id: originalEntry.transaction_id,
-        event_id: originalEntry.event_id,
-        account_id: originalEntry.account_id,
-        entry_type: originalEntry.entry_type === 'Debit' ? 'Credit' : 'Debit',
-        amount: reversalAmount,
-        currency: reversalCurrency,
-        description: `Reversal of entry ${originalEntry.entry_id}`,
-        metadata: {
-          ...originalEntry.metadata,
-          originalEntryId: originalEntry.entry_id,
-          originalAmount: originalEntry.amount,
-          originalCurrency: originalEntry.currency,
-          reversalReason: req.body.reversalReason || 'Not specified',
-          exchangeRate: account.currency !== originalEntry.currency ? 
-            getExchangeRate(originalEntry.currency, account.currency) : 1
-        },
-        isReversal: true,
-        originalEntryId: originalEntry.entry_id,
-      });
-      reversalEntries.push(reversalEntry);
+// Fetch and store rates from the configured provider now
+router.post('/exchange-rates/refresh', requireScope('rates:write'), async (req, res) => {
+  try {
+    const result = await refreshRatesFromProvider();
+    res.status(200).json(result);
+  } catch (err) {
+    res.status(502).json({ error: 'Failed to refresh exchange rates: ' + err.message });
+  }
+});
 
-      // Mark the original entry as reversed
-      originalEntry.isReversed = true;
-      await originalEntry.save();
-    }
+// API to get the current ledger configuration, or the one effective at `asOf`
+router.get('/config', requireScope('config:read'), async (req, res) => {
+  if (!req.query.asOf) {
+    return res.json(getLedgerConfig());
+  }
 
-    // Save reversal entries and update account balances
-    for (const reversalEntry of reversalEntries) {
-      await reversalEntry.save();
-      await updateAccountBalance(
-        reversalEntry.account_id,
-        reversalEntry.entry_type,
-        reversalEntry.amount,
-        reversalEntry.currency
-      );
-    }
+  const asOf = new Date(req.query.asOf);
+  if (Number.isNaN(asOf.getTime())) {
+    return res.status(400).json({ error: 'Invalid asOf date' });
+  }
 
-    res.status(201).json({
-      reversalEntryGroupId,
-      reversalEntries,
-    });
+  try {
+    const { config } = await resolveConfigAt(asOf);
+    res.json(config);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// --- Rule Processing Flow ---
-
-router.post('/events', async (req, res) => {
-  const { eventType, payload } = req.body;
-
+// API to update ledger configuration, effective immediately
+router.put('/config', requireScope('config:admin'), async (req, res) => {
   try {
-    // Save the event
-    const event = new Event({
-      event_type: eventType,
-      payload: payload,
+    const newConfig = req.body;
+    
+    // Validate the new configuration
+    const errors = validateConfig(newConfig);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid configuration format', details: errors });
+    }
+
+    const configVersion = await createConfigVersion({
+      config: newConfig,
+      effectiveFrom: new Date(),
+      createdBy: describePrincipal(req.principal),
+      reason: req.get('X-Change-Reason'),
     });
-    await event.save();
 
-    // Process the event
-    const createdEntries = await executeActions(eventType, { ...payload, event_id: event.event_id });
+    // Log the updated configuration
+    console.log(`Configuration updated to version ${configVersion.version}:`, JSON.stringify(newConfig, null, 2));
 
-    res.status(200).json({
-      message: 'Event processed successfully',
-      event_id: event.event_id,
-      entries: createdEntries
-    });
-  } catch (err) {
-    if (err.message.includes('Insufficient funds') || err.message.includes('Refund amount cannot exceed')) {
-      res.status(400).json({ error: err.message });
-    } else {
-      res.status(500).json({ error: err.message });
+    res.json({ message: 'Configuration updated successfully', version: configVersion.version });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Configuration was updated concurrently, please retry' });
     }
+    res.status(500).json({ error: 'Failed to update configuration: ' + error.message });
   }
 });
 
+// Schedule a configuration version to take effect at `effective_from`
+router.post('/config/versions', requireScope('config:admin'), async (req, res) => {
+  const { config, effective_from: effectiveFromInput, reason } = req.body;
+  const effectiveFrom = effectiveFromInput ? new Date(effectiveFromInput) : new Date();
 
-router.post('/event', async (req, res) => {
-  const { eventType, payload } = req.body;
-
-  try {
-    // Save the event
-    const event = new Event({
-      event_type: eventType,
-      payload: payload,
-    });
-    await event.save();
+  if (Number.isNaN(effectiveFrom.getTime())) {
+    return res.status(400).json({ error: 'Invalid effective_from date' });
+  }
+  // Backdating would change the configuration of events already processed
+  if (effectiveFrom.getTime() < Date.now() - 60 * 1000) {
+    return res.status(400).json({ error: 'effective_from cannot be in the past' });
+  }
 
-    // Process the event
-    const createdEntries = await executeActions(eventType, { ...payload, event_id: event.event_id });
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid configuration format', details: errors });
+  }
 
-    res.status(200).json({
-      message: 'Event processed successfully',
-      event_id: event.event_id,
-      entries: createdEntries
+  try {
+    const configVersion = await createConfigVersion({
+      config,
+      effectiveFrom,
+      createdBy: describePrincipal(req.principal),
+      reason,
     });
+    res.status(201).json(configVersion);
   } catch (err) {
-    if (err.message.includes('Insufficient funds') || err.message.includes('Refund amount cannot exceed')) {
-      res.status(400).json({ error: err.message });
-    } else {
-      res.status(500).json({ error: err.message });
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'Configuration was updated concurrently, please retry' });
     }
+    res.status(500).json({ error: err.message });
   }
 });
 
-
-// API to get current ledger configuration
-router.get('/config', (req, res) => {
-  res.json(ledgerConfig);
+// List configuration versions with their change audit, newest first
+router.get('/config/versions', requireScope('config:read'), async (req, res) => {
+  try {
+    const versions = await LedgerConfigVersion.find({}, { config: 0 }).sort({ version: -1 });
+    res.status(200).json(versions);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// API to update ledger configuration
-router.put('/config', (req, res) => {
+// Get a configuration version
+router.get('/config/versions/:version', requireScope('config:read'), async (req, res) => {
   try {
-    const newConfig = req.body;
-    
-    // Validate the new configuration
-    if (!validateConfig(newConfig)) {
-      return res.status(400).json({ error: 'Invalid configuration format' });
+    const configVersion = await LedgerConfigVersion.findOne({ version: Number(req.params.version) });
+    if (!configVersion) {
+      return res.status(404).json({ error: 'Configuration version not found' });
     }
+    res.status(200).json(configVersion);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // Update the in-memory configuration
-    ledgerConfig = newConfig;
+// Convert documents written before amounts were stored in minor units.
+// Documents are flagged with `minor_units: true` once converted, so the
+// migration can safely be re-run after an interruption.
+async function migrateToMinorUnits() {
+  const migrated = {};
 
-    // Log the updated configuration
-    console.log('Configuration updated:', JSON.stringify(ledgerConfig, null, 2));
+  for (const [Model, field] of [[LedgerEntry, 'amount'], [Account, 'balance']]) {
+    // Raw collection access bypasses the tenant scope plugin
+    const legacyFilter = { ledger_id: getLedgerId(), minor_units: { $ne: true } };
+    const currencies = await Model.collection.distinct('currency', legacyFilter);
+    migrated[Model.modelName] = 0;
 
-    res.json({ message: 'Configuration updated successfully' });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to update configuration: ' + error.message });
+    for (const currency of currencies) {
+      const factor = 10 ** getCurrencyExponent(currency);
+      const converted = {
+        [field]: { $round: [{ $multiply: [`$${field}`, factor] }, 0] },
+        minor_units: true,
+      };
+      if (Model === LedgerEntry) {
+        converted.metadata = legacyOriginalAmountExpression(currency);
+      }
+
+      const result = await Model.collection.updateMany({ ...legacyFilter, currency }, [{ $set: converted }]);
+      migrated[Model.modelName] += result.modifiedCount;
+    }
   }
-});
 
-// Helper function to validate configuration
-function validateConfig(config) {
-  // Add your validation logic here
-  // This is a basic example, you should add more comprehensive checks
-  return (
-    config &&
-    typeof config === 'object' &&
-    config.accounts &&
-    config.fx_fees &&
-    config.transaction_fee_percentage &&
-    config.transaction_fee_fixed &&
-    config.payment_processing
-  );
+  return migrated;
 }
 
-// NOTE: This function has been commented out as it is no longer in use.
-// If you need to recalculate balances, please refer to the new implementation.
+// Convert the amounts of every ledger still stored in major units. Run by
+// migrate.js before a release is served, so that instances starting together
+// do not each run it.
+async function migrateLedgers() {
+  await startLedger();
+  for (const { ledger_id: ledgerId } of await Ledger.find()) {
+    const migrated = await runInLedger(ledgerId, () => migrateToMinorUnits());
+    if (Object.values(migrated).some((count) => count > 0)) {
+      console.log(`Converted ledger ${ledgerId} amounts to minor units:`, migrated);
+    }
+  }
+}
+
+// Refunds and reversals record the amount they refer to as
+// metadata.originalAmount, in metadata.originalCurrency if set and otherwise
+// in the entry's own currency. Converted in the same update as the entry.
+function legacyOriginalAmountExpression(entryCurrency) {
+  const originalCurrency = { $ifNull: ['$metadata.originalCurrency', entryCurrency] };
+  const currencies = Object.keys(getLedgerConfig().currency_exponents || {});
+  const factor = currencies.length === 0 ? 10 ** DEFAULT_CURRENCY_EXPONENT : {
+    $switch: {
+      branches: currencies.map((currency) => ({
+        case: { $eq: [originalCurrency, currency] },
+        then: 10 ** getCurrencyExponent(currency),
+      })),
+      default: 10 ** DEFAULT_CURRENCY_EXPONENT,
+    },
+  };
+
+  return {
+    $cond: [
+      { $isNumber: '$metadata.originalAmount' },
+      {
+        $mergeObjects: [
+          '$metadata',
+          { originalAmount: { $round: [{ $multiply: ['$metadata.originalAmount', factor] }, 0] } },
+        ],
+      },
+      '$metadata',
+    ],
+  };
+}
+
+// Endpoint to migrate legacy major-unit amounts to minor units
+router.post('/migrations/minor-units', requireScope('maintenance'), async (req, res) => {
+  try {
+    console.log('Starting minor-unit migration...');
+    const migrated = await migrateToMinorUnits();
+    console.log('Minor-unit migration completed:', migrated);
+    res.status(200).json({ message: 'Migration completed successfully', migrated });
+  } catch (error) {
+    console.error('Error during minor-unit migration:', error.message);
+    res.status(500).json({ error: 'Failed to migrate amounts: ' + error.message });
+  }
+});
 
-// Endpoint to delete all entries with description "Discrepancy adjustment"
-router.delete('/delete-discrepancy-entries', async (req, res) => {
+// Endpoint to take balance snapshots now
+router.post('/balance-snapshots', requireScope('maintenance'), async (req, res) => {
   try {
-    const result = await LedgerEntry.deleteMany({ description: "Discrepancy adjustment" });
-    console.log(`${result.deletedCount} discrepancy adjustment entries were deleted.`);
-    res.status(200).json({ message: `${result.deletedCount} discrepancy adjustment entries were deleted.` });
+    const result = await takeBalanceSnapshots();
+    res.status(201).json(result);
   } catch (error) {
-    console.error('Error deleting discrepancy adjustment entries:', error.message);
-    res.status(500).json({ error: 'Failed to delete discrepancy adjustment entries: ' + error.message });
+    console.error('Error taking balance snapshots:', error.message);
+    res.status(500).json({ error: 'Failed to take balance snapshots: ' + error.message });
   }
 });
+
 // Endpoint to trigger balance recalculation
-router.post('/recalculate-balances', async (req, res) => {
+router.post('/recalculate-balances', requireScope('maintenance'), async (req, res) => {
   try {
     console.log('Starting manual balance recalculation...');
-    await recalculateBalances();
+    const report = await runIntegrityCheck({ trigger: 'api', fix: true });
+    if (report.status === 'Error') {
+      throw new Error(report.error);
+    }
     console.log('Manual balance recalculation completed.');
-    res.status(200).json({ message: 'Balance recalculation completed successfully' });
+    res.status(200).json({ message: 'Balance recalculation completed successfully', report });
   } catch (error) {
     console.error('Error during manual balance recalculation:', error.message);
     res.status(500).json({ error: 'Failed to recalculate balances: ' + error.message });
   }
 });
 
-// Schedule the balance recalculation to run every day at midnight
-// cron.schedule('0 0 * * *', async () => {
-//   try {
-//     console.log('Starting balance recalculation...');
-//     await recalculateBalances();
-//     console.log('Balance recalculation completed.');
-//   } catch (error) {
-//     console.error('Error during balance recalculation:', error.message);
-//   }
-// });
+// --- Audit Trail API ---
+
+// Search the audit log, newest first
+router.get('/audit-logs', requireScope('audit:read'), async (req, res) => {
+  const {
+    action,
+    entityType,
+    entityId,
+    requestId,
+    principalId,
+    startDate,
+    endDate,
+    page = 1,
+    pageSize = 50,
+  } = req.query;
+
+  const filter = {};
+  if (action) filter.action = action;
+  if (entityType) filter.entity_type = entityType;
+  if (entityId) filter.entity_id = entityId;
+  if (requestId) filter.request_id = requestId;
+  if (principalId) filter['principal.id'] = principalId;
+
+  try {
+    const from = parseDateParam(startDate, 'startDate');
+    const to = parseDateParam(endDate, 'endDate');
+    if (from || to) {
+      filter.created_at = {};
+      if (from) filter.created_at.$gte = from;
+      if (to) filter.created_at.$lte = to;
+    }
+
+    const totalRecords = await AuditLog.countDocuments(filter);
+    const records = await AuditLog.find(filter)
+      .sort({ created_at: -1 })
+      .skip((page - 1) * pageSize)
+      .limit(Number(pageSize));
+
+    res.status(200).json({
+      records,
+      pagination: {
+        page: Number(page),
+        pageSize: Number(pageSize),
+        totalPages: Math.ceil(totalRecords / pageSize),
+        totalRecords,
+      },
+    });
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
+
+// Verify the ledger entry hash chain; detects edited and deleted entries
+router.get('/audit-logs/verify-chain', requireScope('audit:read'), async (req, res) => {
+  try {
+    const result = await verifyLedgerChain();
+    res.status(200).json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Integrity Check API ---
+
+// Run an integrity check; drifted balances are only corrected when `fix` is true
+router.post('/integrity-checks', requireScope('maintenance'), async (req, res) => {
+  try {
+    const report = await runIntegrityCheck({ trigger: 'api', fix: req.body.fix === true });
+    res.status(201).json(report);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List integrity check reports, newest first
+router.get('/integrity-checks', requireScope('maintenance'), async (req, res) => {
+  const { status, page = 1, pageSize = 50 } = req.query;
+  const filter = {};
+  if (status) filter.status = status;
+
+  try {
+    const totalReports = await IntegrityReport.countDocuments(filter);
+    const reports = await IntegrityReport.find(filter)
+      .sort({ started_at: -1 })
+      .skip((page - 1) * pageSize)
+      .limit(Number(pageSize));
+
+    res.status(200).json({
+      reports,
+      pagination: {
+        page: Number(page),
+        pageSize: Number(pageSize),
+        totalPages: Math.ceil(totalReports / pageSize),
+        totalReports,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get a single integrity check report
+router.get('/integrity-checks/:reportId', requireScope('maintenance'), async (req, res) => {
+  try {
+    const report = await IntegrityReport.findOne({ report_id: req.params.reportId });
+    if (!report) {
+      return res.status(404).json({ error: 'Integrity report not found' });
+    }
+    res.status(200).json(report);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-;
+// Schedule the integrity check (runs daily at midnight by default)
+scheduleIntegrityCheck();
 
-// Export the router
+// Export the router. `ready()` lets callers wait for the startup work and
+// `migrate()` runs the data migrations.
+router.ready = startLedger;
+router.migrate = migrateLedgers;
 module.exports = router;
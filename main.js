@@ -1,10 +1,7 @@
 const express = require('express');
 const mongoose = require('mongoose');
-const EventEmitter = require('events');
 const ledger = require('./ledger');
 
-const events = new EventEmitter();
-
 // Use the PORT environment variable provided by Heroku
 const port = process.env.PORT || 3000;
 
@@ -26,17 +23,6 @@ async function main() {
         });
         console.log('Connected successfully to server');
 
-        events.on('someEvent', (event) => {
-            console.log('someEvent was triggered');
-            mongoose.connection.db.collection('events').insertOne(event, (err, result) => {
-                if (err) {
-                    console.error('Error storing event:', err);
-                } else {
-                    console.log('Event stored successfully:', result.insertedId);
-                }
-            });
-        });
-
         app.use('/api', ledger);
 
         app.get('/', (req, res) => {
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const ledger = require('./ledger');
+
+// Connection URL
+const uri = "/";
+
+// Run the data migrations once, before the web processes of a release start
+async function main() {
+    await mongoose.connect(uri, {
+        serverSelectionTimeoutMS: 3000000,
+        socketTimeoutMS: 3000000,
+    });
+    console.log('Connected successfully to server');
+
+    await ledger.migrate();
+    console.log('Migrations completed');
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((err) => {
+        console.error("Error:", err);
+        process.exit(1);
+    });
@@ -0,0 +1,66 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startLedger,
+  stopLedger,
+  client,
+  bootstrapClient,
+  createLedger,
+  issueKey,
+  createAccount,
+} = require('./helpers');
+
+// Adjustments are approved by a second person, never by the proposer through
+// another key of theirs
+describe('adjustment approval', () => {
+  let admin;
+  let cash;
+  let revenue;
+
+  before(async () => {
+    await startLedger();
+    admin = await createLedger('four-eyes');
+    cash = await createAccount(admin, { accountName: 'Cash', accountType: 'Asset', nature: 'Debit' });
+    revenue = await createAccount(admin, { accountName: 'Sales', accountType: 'Revenue', nature: 'Credit' });
+  });
+
+  after(stopLedger);
+
+  async function propose(api) {
+    const res = await api.post('/adjustments').send({
+      reason: 'Correct a mispriced sale',
+      entries: [
+        { accountId: cash.account_id, entryType: 'Debit', amount: 5, currency: 'USD' },
+        { accountId: revenue.account_id, entryType: 'Credit', amount: 5, currency: 'USD' },
+      ],
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+  }
+
+  it('does not let a ledger admin issue approver keys', async () => {
+    const res = await admin.post('/api-keys').send({ name: 'Self approver', role: 'approver' });
+    assert.equal(res.status, 403);
+  });
+
+  it('refuses an approval from a key the proposer issued', async () => {
+    const platform = bootstrapClient('four-eyes');
+    const adjustment = await propose(platform);
+
+    const issued = await platform.post('/api-keys').send({ name: 'Self approver', role: 'approver' });
+    assert.equal(issued.status, 201, JSON.stringify(issued.body));
+
+    const res = await client(issued.body.key).post(`/adjustments/${adjustment.adjustment_id}/approve`).send({});
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, 'APPROVER_IS_PROPOSER');
+  });
+
+  it('posts an adjustment approved by an independent approver', async () => {
+    const adjustment = await propose(admin);
+    const approver = await issueKey('four-eyes', { name: 'Controller', role: 'approver' });
+
+    const res = await approver.post(`/adjustments/${adjustment.adjustment_id}/approve`).send({ reason: 'Checked' });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.status, 'Posted');
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startLedger, stopLedger, createLedger, createAccount } = require('./helpers');
+
+describe('entry group posting', () => {
+  let api;
+  let cash;
+  let revenue;
+
+  before(async () => {
+    await startLedger();
+    api = await createLedger('atomic');
+    cash = await createAccount(api, { accountName: 'Cash', accountType: 'Asset', nature: 'Debit' });
+    revenue = await createAccount(api, { accountName: 'Sales', accountType: 'Revenue', nature: 'Credit' });
+  });
+
+  after(stopLedger);
+
+  const entries = () => [
+    { accountId: cash.account_id, entryType: 'Debit', amount: 25, currency: 'USD' },
+    { accountId: revenue.account_id, entryType: 'Credit', amount: 25, currency: 'USD' },
+  ];
+
+  it('leaves no entries or balance changes when posting fails partway', async (t) => {
+    // Fail the second balance update, after the first entry and its balance
+    // change have been written within the transaction
+    const Account = mongoose.model('Account');
+    const findOneAndUpdate = Account.findOneAndUpdate;
+    let balanceUpdates = 0;
+    t.mock.method(Account, 'findOneAndUpdate', function failSecondUpdate(...args) {
+      balanceUpdates += 1;
+      if (balanceUpdates === 2) {
+        throw new Error('Simulated failure while posting');
+      }
+      return findOneAndUpdate.apply(this, args);
+    });
+
+    const res = await api.post('/accounting-entries').send({ transactionId: 'txn-fail', entries: entries() });
+    t.mock.restoreAll();
+
+    assert.equal(res.status, 500);
+    assert.equal(balanceUpdates, 2);
+
+    const db = mongoose.connection;
+    assert.equal(await db.collection('ledgerentries').countDocuments({ ledger_id: 'atomic', transaction_id: 'txn-fail' }), 0);
+    assert.equal(await db.collection('auditlogs').countDocuments({ ledger_id: 'atomic', action: 'entries.posted' }), 0);
+    assert.equal(await db.collection('outboxevents').countDocuments({ ledger_id: 'atomic' }), 0);
+
+    for (const account of [cash, revenue]) {
+      const stored = await db.collection('accounts').findOne({ account_id: account.account_id });
+      assert.equal(stored.balance, 0);
+      assert.equal(stored.__v, account.__v);
+    }
+  });
+
+  it('rejects entries whose amount is not a positive number', async () => {
+    for (const amount of [-25, 'abc']) {
+      const res = await api.post('/accounting-entries').send({
+        transactionId: 'txn-invalid',
+        entries: [
+          { accountId: cash.account_id, entryType: 'Debit', amount, currency: 'USD' },
+          { accountId: revenue.account_id, entryType: 'Credit', amount, currency: 'USD' },
+        ],
+      });
+      assert.equal(res.status, 400);
+    }
+    const db = mongoose.connection;
+    assert.equal(await db.collection('ledgerentries').countDocuments({ ledger_id: 'atomic', transaction_id: 'txn-invalid' }), 0);
+  });
+
+  it('posts the whole group once the failure is gone', async () => {
+    const res = await api.post('/accounting-entries').send({ transactionId: 'txn-ok', entries: entries() });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.entries.length, 2);
+
+    const balances = await Promise.all([cash, revenue].map(
+      (account) => api.get(`/accounts/${account.account_id}/balance`)
+    ));
+    assert.deepEqual(balances.map((balance) => balance.body.balance), [25, 25]);
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startLedger, stopLedger, createLedger } = require('./helpers');
+
+// Merchant Payable accounts are Liability accounts, which the default
+// configuration keeps from going negative
+describe('merchant payable balance policy', () => {
+  let api;
+  let payable;
+
+  async function sendEvent(eventType, payload) {
+    return api.post('/events').send({ eventType, payload });
+  }
+
+  async function storedPayable() {
+    return mongoose.connection.collection('accounts').findOne({ account_id: payable.account_id });
+  }
+
+  before(async () => {
+    await startLedger();
+    api = await createLedger('policies');
+    const captured = await sendEvent('PaymentCaptured', {
+      transaction_id: 'txn-1',
+      merchantId: 'merchant-1',
+      amount: 100,
+      currency: 'USD',
+      transactionFee: 0,
+    });
+    assert.equal(captured.status, 200, JSON.stringify(captured.body));
+    payable = await mongoose.connection.collection('accounts')
+      .findOne({ ledger_id: 'policies', account_name: 'Merchant Payable - merchant-1' });
+  });
+
+  after(stopLedger);
+
+  it('rejects a payout above the payable balance', async () => {
+    const res = await sendEvent('PayoutInitiated', { merchantId: 'merchant-1', amount: 150, currency: 'USD' });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.code, 'INSUFFICIENT_FUNDS');
+    assert.equal((await storedPayable()).balance, 10000);
+  });
+
+  it('rejects a payout of funds reserved by a hold', async () => {
+    const hold = await api.post('/holds').send({ accountId: payable.account_id, amount: 30, reason: 'Under review' });
+    assert.equal(hold.status, 201, JSON.stringify(hold.body));
+
+    const res = await sendEvent('PayoutInitiated', { merchantId: 'merchant-1', amount: 80, currency: 'USD' });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.code, 'INSUFFICIENT_FUNDS');
+
+    const released = await api.post(`/holds/${hold.body.hold_id}/release`).send({});
+    assert.equal(released.status, 200, JSON.stringify(released.body));
+  });
+
+  it('rejects a refund the merchant can no longer fund', async () => {
+    const payout = await sendEvent('PayoutInitiated', { merchantId: 'merchant-1', amount: 80, currency: 'USD' });
+    assert.equal(payout.status, 200, JSON.stringify(payout.body));
+
+    const res = await sendEvent('PaymentRefunded', { transaction_id: 'txn-1', currency: 'USD' });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.code, 'INSUFFICIENT_FUNDS');
+    assert.equal((await storedPayable()).balance, 2000);
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startLedger, stopLedger, createLedger, runConcurrently } = require('./helpers');
+
+const EVENT_COUNT = 300;
+const CONCURRENCY = 20;
+const MERCHANT_COUNT = 20;
+
+// Many captures at once all update the same Cash and fee revenue accounts,
+// race to create each merchant's payable account and append to the one hash
+// chain of the ledger, so their transactions conflict and are retried.
+describe('concurrent event processing', () => {
+  let api;
+
+  before(async () => {
+    await startLedger();
+    api = await createLedger('load');
+  });
+
+  after(stopLedger);
+
+  const captures = Array.from({ length: EVENT_COUNT }, (_, index) => ({
+    eventType: 'PaymentCaptured',
+    payload: {
+      transaction_id: `txn-${index}`,
+      merchantId: `merchant-${index % MERCHANT_COUNT}`,
+      amount: 10 + (index % 7),
+      currency: 'USD',
+      transactionFee: 0.3,
+    },
+  }));
+
+  // Wait until no event is queued or being processed, however the ledger
+  // answered the requests
+  async function settle(db) {
+    const deadline = Date.now() + 60 * 1000;
+    while (await db.collection('events').countDocuments({ ledger_id: 'load', status: { $in: ['Pending', 'Processing'] } }) > 0) {
+      assert.ok(Date.now() < deadline, 'events still pending');
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  }
+
+  it('keeps balances equal to the entry history', { timeout: 5 * 60 * 1000 }, async () => {
+    await runConcurrently(captures, CONCURRENCY, (capture) => api.post('/events').send(capture));
+
+    const db = mongoose.connection;
+    await settle(db);
+    const accounts = await db.collection('accounts').find({ ledger_id: 'load' }).toArray();
+    const totals = await db.collection('ledgerentries').aggregate([
+      { $match: { ledger_id: 'load' } },
+      {
+        $group: {
+          _id: '$account_id',
+          debits: { $sum: { $cond: [{ $eq: ['$entry_type', 'Debit'] }, '$amount', 0] } },
+          credits: { $sum: { $cond: [{ $eq: ['$entry_type', 'Credit'] }, '$amount', 0] } },
+          count: { $sum: 1 },
+        },
+      },
+    ]).toArray();
+    const totalsByAccount = new Map(totals.map((total) => [total._id, total]));
+
+    for (const account of accounts) {
+      const { debits = 0, credits = 0 } = totalsByAccount.get(account.account_id) || {};
+      const expected = account.nature === 'Debit' ? debits - credits : credits - debits;
+      assert.equal(account.balance, expected, `balance of ${account.account_name}`);
+    }
+
+    // Concurrent first captures of a merchant share one payable account
+    const payables = accounts.filter((account) => account.account_name.startsWith('Merchant Payable - '));
+    assert.equal(new Set(payables.map((account) => account.account_name)).size, payables.length);
+
+    // Every posting was appended to the chain exactly once, in order
+    const entryCount = totals.reduce((sum, total) => sum + total.count, 0);
+    const chain = await api.get('/audit-logs/verify-chain');
+    assert.equal(chain.status, 200);
+    assert.equal(chain.body.status, 'Valid', JSON.stringify(chain.body.issues));
+    assert.equal(chain.body.head.sequence, entryCount);
+  });
+});
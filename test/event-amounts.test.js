@@ -0,0 +1,57 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startLedger, stopLedger, createLedger } = require('./helpers');
+
+// Event amounts move money in the direction the event names, so they must be
+// positive numbers
+describe('event amounts', () => {
+  let api;
+
+  async function sendEvent(eventType, payload) {
+    return api.post('/events').send({ eventType, payload });
+  }
+
+  async function entryCount() {
+    return mongoose.connection.collection('ledgerentries').countDocuments({ ledger_id: 'amounts' });
+  }
+
+  before(async () => {
+    await startLedger();
+    api = await createLedger('amounts');
+    const captured = await sendEvent('PaymentCaptured', {
+      transaction_id: 'txn-1',
+      merchantId: 'merchant-1',
+      amount: 100,
+      currency: 'USD',
+      transactionFee: 0,
+    });
+    assert.equal(captured.status, 200, JSON.stringify(captured.body));
+  });
+
+  after(stopLedger);
+
+  for (const amount of [-50, 'abc']) {
+    it(`rejects a capture of ${amount}`, async () => {
+      const before = await entryCount();
+      const res = await sendEvent('PaymentCaptured', {
+        transaction_id: `txn-${amount}`,
+        merchantId: 'merchant-1',
+        amount,
+        currency: 'USD',
+        transactionFee: 0,
+      });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'INVALID_AMOUNT');
+      assert.equal(await entryCount(), before);
+    });
+
+    it(`rejects a payout of ${amount}`, async () => {
+      const before = await entryCount();
+      const res = await sendEvent('PayoutInitiated', { merchantId: 'merchant-1', amount, currency: 'USD' });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'INVALID_AMOUNT');
+      assert.equal(await entryCount(), before);
+    });
+  }
+});
@@ -0,0 +1,125 @@
+// Test harness: runs the ledger router against an in-memory MongoDB replica
+// set (transactions need one) and drives it over HTTP with supertest.
+const express = require('express');
+const mongoose = require('mongoose');
+const cron = require('node-cron');
+const request = require('supertest');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+const BOOTSTRAP_API_KEY = 'lk_test_bootstrap_key';
+
+let replSet;
+let app;
+
+// Start the database and the app. Call once per test file, in `before`.
+async function startLedger() {
+  process.env.LEDGER_BOOTSTRAP_API_KEY = BOOTSTRAP_API_KEY;
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+
+  const ledger = require('../ledger');
+  await mongoose.connect(replSet.getUri());
+  await ledger.ready();
+  // Unique indexes must exist before the tests race to create documents
+  await Promise.all(Object.values(mongoose.models).map((Model) => Model.init()));
+  // Tests trigger jobs through the API, so scheduled runs cannot interfere
+  stopScheduledJobs();
+
+  app = express();
+  app.use(express.json());
+  app.use('/api', ledger);
+  return app;
+}
+
+function stopScheduledJobs() {
+  for (const task of cron.getTasks().values()) {
+    task.stop();
+  }
+}
+
+// Stop the scheduled jobs, the connection and the database, in `after`
+async function stopLedger() {
+  stopScheduledJobs();
+  await mongoose.disconnect();
+  await replSet?.stop();
+}
+
+// supertest client sending `key`, and optionally addressing another ledger
+function client(key, ledgerId) {
+  const withHeaders = (req) => {
+    req.set('Authorization', `Bearer ${key}`);
+    return ledgerId ? req.set('X-Ledger-Id', ledgerId) : req;
+  };
+  return {
+    get: (url) => withHeaders(request(app).get(`/api${url}`)),
+    post: (url) => withHeaders(request(app).post(`/api${url}`)),
+    put: (url) => withHeaders(request(app).put(`/api${url}`)),
+    delete: (url) => withHeaders(request(app).delete(`/api${url}`)),
+  };
+}
+
+// Platform admin client using the bootstrap key
+function bootstrapClient(ledgerId) {
+  return client(BOOTSTRAP_API_KEY, ledgerId);
+}
+
+// Create a ledger and return an admin client holding a key of its own
+async function createLedger(ledgerId) {
+  const platform = bootstrapClient();
+  const created = await platform.post('/ledgers').send({ ledgerId, name: `Ledger ${ledgerId}` });
+  if (created.status !== 201) {
+    throw new Error(`Creating ledger ${ledgerId} failed: ${JSON.stringify(created.body)}`);
+  }
+  return issueKey(ledgerId, { name: `${ledgerId} admin`, role: 'admin' });
+}
+
+// Issue a key in `ledgerId` and return a client using it
+async function issueKey(ledgerId, { name, role, scopes }) {
+  const issued = await bootstrapClient(ledgerId).post('/api-keys').send({ name, role, scopes });
+  if (issued.status !== 201) {
+    throw new Error(`Issuing key ${name} failed: ${JSON.stringify(issued.body)}`);
+  }
+  const api = client(issued.body.key);
+  api.keyId = issued.body.key_id;
+  return api;
+}
+
+// Create an account through the API and return it
+async function createAccount(api, { accountName, accountType, nature, currency = 'USD', ...rest }) {
+  const created = await api.post('/accounts').send({
+    accountName,
+    accountType,
+    nature,
+    currency,
+    status: 'Active',
+    ...rest,
+  });
+  if (created.status !== 201) {
+    throw new Error(`Creating account ${accountName} failed: ${JSON.stringify(created.body)}`);
+  }
+  return created.body;
+}
+
+// Run `work` for each item with at most `concurrency` calls in flight
+async function runConcurrently(items, concurrency, work) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: concurrency }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await work(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  startLedger,
+  stopLedger,
+  client,
+  bootstrapClient,
+  createLedger,
+  issueKey,
+  createAccount,
+  runConcurrently,
+};
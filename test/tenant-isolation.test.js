@@ -0,0 +1,171 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const mongoose = require('mongoose');
+const { startLedger, stopLedger, createLedger, createAccount } = require('./helpers');
+
+// Two ledgers, A and B. Every test acts with A's key on B's data.
+describe('tenant isolation', () => {
+  const received = [];
+  let receiver;
+  let receiverUrl;
+  let apiA;
+  let apiB;
+  let b = {};
+  let a = {};
+
+  const db = () => mongoose.connection;
+
+  async function postSale(api, cash, revenue, transactionId) {
+    const res = await api.post('/accounting-entries').send({
+      transactionId,
+      entries: [
+        { accountId: cash.account_id, entryType: 'Debit', amount: 10, currency: 'USD' },
+        { accountId: revenue.account_id, entryType: 'Credit', amount: 10, currency: 'USD' },
+      ],
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+  }
+
+  before(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ path: req.url, body: JSON.parse(body) });
+        res.end('ok');
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+
+    await startLedger();
+    apiA = await createLedger('tenant-a');
+    apiB = await createLedger('tenant-b');
+
+    for (const [api, data] of [[apiA, a], [apiB, b]]) {
+      data.cash = await createAccount(api, { accountName: 'Cash', accountType: 'Asset', nature: 'Debit' });
+      data.revenue = await createAccount(api, { accountName: 'Sales', accountType: 'Revenue', nature: 'Credit' });
+    }
+    b.posted = await postSale(apiB, b.cash, b.revenue, 'txn-b');
+  });
+
+  after(async () => {
+    await stopLedger();
+    await new Promise((resolve) => receiver.close(resolve));
+  });
+
+  it('does not let a key act on another ledger', async () => {
+    const res = await apiA.get('/accounts').set('X-Ledger-Id', 'tenant-b');
+    assert.equal(res.status, 403);
+  });
+
+  it('does not find another ledger\'s documents by ID', async () => {
+    const account = await apiA.get(`/accounts/${b.cash.account_id}`);
+    assert.equal(account.status, 404);
+
+    const balance = await apiA.get(`/accounts/${b.cash.account_id}/balance`);
+    assert.equal(balance.status, 404);
+
+    const entry = await apiA.get(`/accounting-entries/${b.posted.entries[0].entry_id}`);
+    assert.equal(entry.status, 404);
+
+    const list = await apiA.get('/accounts');
+    assert.equal(list.status, 200);
+    assert.ok(list.body.every((listed) => listed.ledger_id === 'tenant-a'));
+  });
+
+  it('does not post to or reverse another ledger\'s entries', async () => {
+    const posted = await apiA.post('/accounting-entries').send({
+      entries: [
+        { accountId: b.cash.account_id, entryType: 'Debit', amount: 5, currency: 'USD' },
+        { accountId: b.revenue.account_id, entryType: 'Credit', amount: 5, currency: 'USD' },
+      ],
+    });
+    assert.equal(posted.status, 404);
+
+    const reversed = await apiA.post(`/accounting-entries/${b.posted.entryGroupId}/reverse`).send({});
+    assert.equal(reversed.status, 404);
+
+    const stored = await db().collection('accounts').findOne({ account_id: b.cash.account_id });
+    assert.equal(stored.balance, 1000);
+  });
+
+  it('fans out and replays webhooks within the ledger only', async () => {
+    const endpointA = await apiA.post('/webhook-endpoints').send({ url: `${receiverUrl}/a` });
+    const endpointB = await apiB.post('/webhook-endpoints').send({ url: `${receiverUrl}/b` });
+    assert.equal(endpointA.status, 201);
+    assert.equal(endpointB.status, 201);
+    await postSale(apiA, a.cash, a.revenue, 'txn-a');
+    await postSale(apiB, b.cash, b.revenue, 'txn-b2');
+
+    const dispatched = await apiA.post('/webhooks/dispatch').send({});
+    assert.equal(dispatched.status, 200);
+    assert.ok(received.length > 0);
+    assert.ok(received.every((delivery) => delivery.path === '/a'));
+
+    const deliveries = await db().collection('webhookdeliveries').find().toArray();
+    assert.ok(deliveries.every((delivery) => delivery.ledger_id === 'tenant-a'));
+    assert.equal(
+      await db().collection('outboxevents').countDocuments({ ledger_id: 'tenant-b', dispatched_at: { $ne: null } }),
+      0
+    );
+
+    // Replaying A's endpoint from the beginning only picks up A's events
+    const replayed = await apiA.post(`/webhook-endpoints/${endpointA.body.endpoint_id}/replay`)
+      .send({ from: new Date(0).toISOString() });
+    assert.equal(replayed.status, 200);
+    assert.equal(replayed.body.replayed, await db().collection('outboxevents').countDocuments({ ledger_id: 'tenant-a' }));
+    const replayedDeliveries = await db().collection('webhookdeliveries')
+      .find({ endpoint_id: endpointA.body.endpoint_id }).toArray();
+    assert.ok(replayedDeliveries.every((delivery) => delivery.ledger_id === 'tenant-a'));
+
+    const replayedB = await apiA.post(`/webhook-endpoints/${endpointB.body.endpoint_id}/replay`)
+      .send({ from: new Date(0).toISOString() });
+    assert.equal(replayedB.status, 404);
+  });
+
+  it('recalculates balances within the ledger only', async () => {
+    // Introduce drift in both ledgers behind the API's back
+    for (const account of [a.cash, b.cash]) {
+      await db().collection('accounts').updateOne({ account_id: account.account_id }, { $inc: { balance: 1 } });
+    }
+
+    const res = await apiA.post('/recalculate-balances').send({});
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+
+    const storedA = await db().collection('accounts').findOne({ account_id: a.cash.account_id });
+    const storedB = await db().collection('accounts').findOne({ account_id: b.cash.account_id });
+    assert.equal(storedA.balance, 1000);
+    assert.equal(storedB.balance, 2001);
+    const corrections = await db().collection('auditlogs').find({ action: 'account.balance_corrected' }).toArray();
+    assert.ok(corrections.every((record) => record.ledger_id === 'tenant-a'));
+  });
+
+  it('migrates legacy amounts within the ledger only', async () => {
+    // Accounts written before amounts were stored in minor units
+    for (const ledgerId of ['tenant-a', 'tenant-b']) {
+      await db().collection('accounts').insertOne({
+        ledger_id: ledgerId,
+        account_id: `legacy-${ledgerId}`,
+        account_number: `legacy-${ledgerId}`,
+        account_name: 'Legacy',
+        account_type: 'Asset',
+        nature: 'Debit',
+        currency: 'USD',
+        status: 'Active',
+        balance: 12.5,
+      });
+    }
+
+    const res = await apiA.post('/migrations/minor-units').send({});
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.migrated.Account, 1);
+
+    const legacyA = await db().collection('accounts').findOne({ account_id: 'legacy-tenant-a' });
+    const legacyB = await db().collection('accounts').findOne({ account_id: 'legacy-tenant-b' });
+    assert.deepEqual([legacyA.balance, legacyA.minor_units], [1250, true]);
+    assert.deepEqual([legacyB.balance, legacyB.minor_units], [12.5, undefined]);
+  });
+});